@@ -1,10 +1,20 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Set while a transaction's work runs, so its own statements skip the write queue
+const transactionScope = new AsyncLocalStorage();
+
+// Substring match for LIKE, with the user's own % and _ taken literally
+function toLikePattern(search) {
+    return `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+}
 
 class Database {
     constructor() {
         this.db = null;
         this.dbPath = path.join(__dirname, 'emotion_recognition.db');
+        this.writeQueue = Promise.resolve();
     }
 
     async connect() {
@@ -25,6 +35,7 @@ class Database {
         try {
             await this.connect();
             await this.createTables();
+            await this.applyMigrations();
             console.log('Database initialized successfully');
         } catch (error) {
             console.error('Database initialization failed:', error);
@@ -49,7 +60,38 @@ class Database {
         });
     }
 
+    // CREATE TABLE IF NOT EXISTS leaves existing tables alone, so columns added
+    // to schema.sql after a database was created are added here
+    async applyMigrations() {
+        const columns = [
+            { table: 'users', column: 'email_verified', definition: 'BOOLEAN DEFAULT 0' },
+            { table: 'users', column: 'email_verified_at', definition: 'DATETIME' },
+            { table: 'emotions', column: 'track_id', definition: 'INTEGER' },
+            { table: 'sessions', column: 'face_present_ratio', definition: 'REAL' },
+            { table: 'sessions', column: 'avg_processing_ms', definition: 'REAL' },
+            { table: 'sessions', column: 'emotion_distribution', definition: 'TEXT' },
+            { table: 'images', column: 'face_coordinates', definition: 'TEXT' }
+        ];
+
+        for (const { table, column, definition } of columns) {
+            const existing = await this.all(`PRAGMA table_info(${table})`);
+            if (!existing.some(info => info.name === column)) {
+                await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+                console.log(`Added column ${table}.${column}`);
+            }
+        }
+    }
+
+    // Every write waits its turn behind open transactions. They all share one
+    // connection, so a write sent mid-transaction would be rolled back with it.
     async run(sql, params = []) {
+        if (transactionScope.getStore()) {
+            return this.execute(sql, params);
+        }
+        return this.enqueueWrite(() => this.execute(sql, params));
+    }
+
+    execute(sql, params) {
         return new Promise((resolve, reject) => {
             this.db.run(sql, params, function(err) {
                 if (err) {
@@ -85,6 +127,32 @@ class Database {
         });
     }
 
+    enqueueWrite(write) {
+        const result = this.writeQueue.then(write, write);
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    // Run work inside BEGIN/COMMIT, rolling back if it throws.
+    // A transaction started from inside another one joins it.
+    async transaction(work) {
+        if (transactionScope.getStore()) {
+            return work();
+        }
+
+        return this.enqueueWrite(() => transactionScope.run(true, async () => {
+            await this.execute('BEGIN IMMEDIATE TRANSACTION');
+            try {
+                const result = await work();
+                await this.execute('COMMIT');
+                return result;
+            } catch (error) {
+                await this.execute('ROLLBACK');
+                throw error;
+            }
+        }));
+    }
+
     async close() {
         return new Promise((resolve, reject) => {
             this.db.close((err) => {
@@ -122,36 +190,233 @@ class Database {
         return this.get(sql, [username]);
     }
 
+    async createRefreshToken(tokenData) {
+        const sql = `
+            INSERT INTO refresh_tokens (user_id, family_id, token_hash, device_info, ip_address, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `;
+        return this.run(sql, [
+            tokenData.userId,
+            tokenData.familyId,
+            tokenData.tokenHash,
+            tokenData.deviceInfo,
+            tokenData.ipAddress,
+            tokenData.expiresAt
+        ]);
+    }
+
+    async findRefreshToken(tokenHash) {
+        const sql = 'SELECT * FROM refresh_tokens WHERE token_hash = ?';
+        return this.get(sql, [tokenHash]);
+    }
+
+    // Swap a refresh token for its successor in the same family
+    async rotateRefreshToken(oldTokenId, tokenData) {
+        return this.transaction(async () => {
+            const result = await this.createRefreshToken(tokenData);
+            await this.run(
+                'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = ? WHERE id = ?',
+                [result.lastID, oldTokenId]
+            );
+            return result;
+        });
+    }
+
+    async revokeTokenFamily(familyId) {
+        const sql = `
+            UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+            WHERE family_id = ? AND revoked_at IS NULL
+        `;
+        return this.run(sql, [familyId]);
+    }
+
+    async revokeUserTokens(userId) {
+        const sql = `
+            UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND revoked_at IS NULL
+        `;
+        return this.run(sql, [userId]);
+    }
+
+    async revokeOtherTokenFamilies(userId, keepFamilyId) {
+        const sql = `
+            UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND family_id != ? AND revoked_at IS NULL
+        `;
+        return this.run(sql, [userId, keepFamilyId]);
+    }
+
+    async isTokenFamilyActive(familyId) {
+        const sql = `
+            SELECT id FROM refresh_tokens
+            WHERE family_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+            LIMIT 1
+        `;
+        return Boolean(await this.get(sql, [familyId]));
+    }
+
+    async findUserById(userId) {
+        const sql = 'SELECT * FROM users WHERE id = ? AND is_active = 1';
+        return this.get(sql, [userId]);
+    }
+
+    async markEmailVerified(userId) {
+        const sql = `
+            UPDATE users SET email_verified = 1, email_verified_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND email_verified = 0
+        `;
+        return this.run(sql, [userId]);
+    }
+
+    async updatePassword(userId, passwordHash) {
+        const sql = 'UPDATE users SET password_hash = ? WHERE id = ?';
+        return this.run(sql, [passwordHash, userId]);
+    }
+
+    async updateUserProfile(userId, profileData) {
+        const columns = {
+            username: 'username',
+            email: 'email',
+            fullName: 'full_name',
+            avatarUrl: 'avatar_url',
+            emailVerified: 'email_verified'
+        };
+
+        const fields = Object.keys(columns).filter(key => profileData[key] !== undefined);
+        if (fields.length === 0) return { changes: 0 };
+
+        const sql = `
+            UPDATE users SET ${fields.map(key => `${columns[key]} = ?`).join(', ')}
+            WHERE id = ?
+        `;
+        return this.run(sql, [...fields.map(key => profileData[key]), userId]);
+    }
+
+    async deactivateUser(userId) {
+        const sql = 'UPDATE users SET is_active = 0 WHERE id = ?';
+        return this.run(sql, [userId]);
+    }
+
+    // Foreign key enforcement is off in SQLite by default, so the cascade is done by hand.
+    // Returns the user's image rows so their files can be removed afterwards.
+    async deleteUserAccount(userId) {
+        return this.transaction(async () => {
+            const sessionFilter = 'SELECT id FROM sessions WHERE user_id = ?';
+
+            const images = await this.all(
+                `SELECT * FROM images WHERE user_id = ? OR session_id IN (${sessionFilter})`,
+                [userId, userId]
+            );
+
+            await this.run(`DELETE FROM emotions WHERE session_id IN (${sessionFilter})`, [userId]);
+            await this.run(
+                `DELETE FROM images WHERE user_id = ? OR session_id IN (${sessionFilter})`,
+                [userId, userId]
+            );
+            await this.run(
+                `DELETE FROM analytics WHERE user_id = ? OR session_id IN (${sessionFilter})`,
+                [userId, userId]
+            );
+            await this.run(
+                `DELETE FROM emotion_summaries WHERE user_id = ? OR session_id IN (${sessionFilter})`,
+                [userId, userId]
+            );
+            await this.run('DELETE FROM results WHERE user_id = ?', [userId]);
+            await this.run('DELETE FROM sessions WHERE user_id = ?', [userId]);
+
+            for (const table of ['user_settings', 'api_usage', 'refresh_tokens']) {
+                await this.run(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+            }
+
+            await this.run('DELETE FROM users WHERE id = ?', [userId]);
+
+            return images;
+        });
+    }
+
+    async getUserSettings(userId) {
+        const sql = 'SELECT setting_key, setting_value, data_type FROM user_settings WHERE user_id = ?';
+        return this.all(sql, [userId]);
+    }
+
+    async saveUserSettings(userId, settings) {
+        const sql = `
+            INSERT INTO user_settings (user_id, setting_key, setting_value, data_type)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(user_id, setting_key) DO UPDATE SET
+                setting_value = excluded.setting_value,
+                data_type = excluded.data_type,
+                updated_at = CURRENT_TIMESTAMP
+        `;
+        return this.transaction(async () => {
+            for (const setting of settings) {
+                await this.run(sql, [userId, setting.key, setting.value, setting.dataType]);
+            }
+        });
+    }
+
     async createSession(sessionData) {
         const sql = `
-            INSERT INTO sessions (user_id, session_name, device_info, ip_address, location)
-            VALUES (?, ?, ?, ?, ?)
+            INSERT INTO sessions (user_id, session_name, device_info, ip_address, location, start_time)
+            VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
         `;
         return this.run(sql, [
             sessionData.userId,
             sessionData.sessionName,
             sessionData.deviceInfo,
             sessionData.ipAddress,
-            sessionData.location
+            sessionData.location,
+            sessionData.startTime
         ]);
     }
 
-    async updateSessionEnd(sessionId, endTime, duration, totalDetections, accuracy) {
+    // Imports match sessions by name, newest first
+    async findUserSessionByName(userId, sessionName) {
+        const sql = `
+            SELECT * FROM sessions
+            WHERE user_id = ? AND session_name = ?
+            ORDER BY start_time DESC
+            LIMIT 1
+        `;
+        return this.get(sql, [userId, sessionName]);
+    }
+
+    // Closes an imported session at its last detection; the duration trigger fills in the rest
+    async completeImportedSession(sessionId) {
+        const sql = `
+            UPDATE sessions
+            SET end_time = (SELECT MAX(timestamp) FROM emotions WHERE session_id = ?), is_completed = 1
+            WHERE id = ? AND end_time IS NULL
+        `;
+        return this.run(sql, [sessionId, sessionId]);
+    }
+
+    async updateSessionEnd(sessionId, endTime, duration, totalDetections, accuracy, metrics = {}) {
         const sql = `
             UPDATE sessions 
             SET end_time = ?, duration_seconds = ?, total_detections = ?, 
-                accuracy_score = ?, is_completed = 1
+                accuracy_score = ?, face_present_ratio = ?, avg_processing_ms = ?,
+                emotion_distribution = ?, is_completed = 1
             WHERE id = ?
         `;
-        return this.run(sql, [endTime, duration, totalDetections, accuracy, sessionId]);
+        return this.run(sql, [
+            endTime,
+            duration,
+            totalDetections,
+            accuracy,
+            metrics.facePresentRatio,
+            metrics.avgProcessingMs,
+            metrics.emotionDistribution ? JSON.stringify(metrics.emotionDistribution) : null,
+            sessionId
+        ]);
     }
 
     async createEmotion(emotionData) {
         const sql = `
             INSERT INTO emotions (
                 session_id, emotion_type, confidence_score, face_coordinates,
-                age_estimate, gender_estimate, image_id, processing_time_ms, raw_data
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                age_estimate, gender_estimate, image_id, processing_time_ms, raw_data, track_id, timestamp
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
         `;
         return this.run(sql, [
             emotionData.sessionId,
@@ -162,20 +427,117 @@ class Database {
             emotionData.genderEstimate,
             emotionData.imageId,
             emotionData.processingTime,
-            JSON.stringify(emotionData.rawData)
+            JSON.stringify(emotionData.rawData),
+            emotionData.trackId ?? null,
+            emotionData.timestamp ?? null
         ]);
     }
 
+    async createEmotionsBatch(emotions) {
+        return this.transaction(async () => {
+            const ids = [];
+            for (const emotionData of emotions) {
+                const result = await this.createEmotion(emotionData);
+                ids.push(result.lastID);
+            }
+
+            // One counter update per session instead of one per row
+            const counts = new Map();
+            for (const emotionData of emotions) {
+                counts.set(emotionData.sessionId, (counts.get(emotionData.sessionId) || 0) + 1);
+            }
+            for (const [sessionId, count] of counts) {
+                await this.run(
+                    'UPDATE sessions SET total_detections = total_detections + ? WHERE id = ?',
+                    [count, sessionId]
+                );
+            }
+
+            return ids;
+        });
+    }
+
     async getEmotionsBySession(sessionId, limit = 100, offset = 0) {
         const sql = `
             SELECT * FROM emotions 
             WHERE session_id = ? 
-            ORDER BY timestamp DESC 
+            ORDER BY timestamp DESC, id DESC
             LIMIT ? OFFSET ?
         `;
         return this.all(sql, [sessionId, limit, offset]);
     }
 
+    // Every detection of a session, oldest first, for reports
+    async getAllEmotionsBySession(sessionId) {
+        const sql = `
+            SELECT * FROM emotions
+            WHERE session_id = ?
+            ORDER BY timestamp ASC, id ASC
+        `;
+        return this.all(sql, [sessionId]);
+    }
+
+    // Yields a user's detections in id order, one page at a time, so exports never hold
+    // the whole result set. Filters: userId (required), sessionId, startDate and endDate
+    // (YYYY-MM-DD, inclusive) and emotionType.
+    async *iterateEmotionsForExport(filters, pageSize = 500) {
+        let sql = `
+            SELECT e.*, s.user_id, s.session_name
+            FROM emotions e
+            JOIN sessions s ON e.session_id = s.id
+            WHERE s.user_id = ?
+        `;
+        const params = [filters.userId];
+
+        if (filters.sessionId) {
+            sql += ' AND e.session_id = ?';
+            params.push(filters.sessionId);
+        }
+
+        if (filters.startDate) {
+            sql += ' AND DATE(e.timestamp) >= ?';
+            params.push(filters.startDate);
+        }
+
+        if (filters.endDate) {
+            sql += ' AND DATE(e.timestamp) <= ?';
+            params.push(filters.endDate);
+        }
+
+        if (filters.emotionType) {
+            sql += ' AND e.emotion_type = ?';
+            params.push(filters.emotionType);
+        }
+
+        // Keyset paging: each page starts after the last id seen
+        sql += ' AND e.id > ? ORDER BY e.id ASC LIMIT ?';
+
+        let lastId = 0;
+        for (;;) {
+            const rows = await this.all(sql, [...params, lastId, pageSize]);
+            yield* rows;
+            if (rows.length < pageSize) return;
+            lastId = rows[rows.length - 1].id;
+        }
+    }
+
+    // When each detection of a session happened: the client's capture time where it was
+    // recorded, otherwise the stored timestamp. Imports skip rows whose time is already here.
+    // One key per stored detection: capture time plus face track, so the faces
+    // of a multi-face frame stay distinct
+    async getEmotionImportKeys(sessionId) {
+        const sql = `
+            SELECT COALESCE(
+                CASE WHEN json_valid(raw_data) THEN json_extract(raw_data, '$.capturedAt') END,
+                timestamp
+            ) AS time_key, track_id
+            FROM emotions
+            WHERE session_id = ?
+        `;
+        const rows = await this.all(sql, [sessionId]);
+        return rows.map(row => `${row.time_key}|${row.track_id ?? ''}`);
+    }
+
     async getEmotionSummary(sessionId) {
         const sql = `
             SELECT 
@@ -192,22 +554,31 @@ class Database {
         return this.all(sql, [sessionId]);
     }
 
-    async getUserSessions(userId, limit = 20, offset = 0) {
+    async getUserSessions(userId, limit = 20, offset = 0, search = '') {
         const sql = `
             SELECT * FROM sessions 
-            WHERE user_id = ? 
+            WHERE user_id = ? AND COALESCE(session_name, '') LIKE ? ESCAPE '\\'
             ORDER BY start_time DESC 
             LIMIT ? OFFSET ?
         `;
-        return this.all(sql, [userId, limit, offset]);
+        return this.all(sql, [userId, toLikePattern(search), limit, offset]);
+    }
+
+    async countUserSessions(userId, search = '') {
+        const sql = `
+            SELECT COUNT(*) as total FROM sessions
+            WHERE user_id = ? AND COALESCE(session_name, '') LIKE ? ESCAPE '\\'
+        `;
+        const row = await this.get(sql, [userId, toLikePattern(search)]);
+        return row.total;
     }
 
     async createImage(imageData) {
         const sql = `
             INSERT INTO images (
                 user_id, session_id, filename, original_filename, file_path,
-                file_size, mime_type, width, height, thumbnail_path
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                file_size, mime_type, width, height, thumbnail_path, face_coordinates
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
         return this.run(sql, [
             imageData.userId,
@@ -219,10 +590,85 @@ class Database {
             imageData.mimeType,
             imageData.width,
             imageData.height,
-            imageData.thumbnailPath
+            imageData.thumbnailPath,
+            imageData.faceCoordinates ? JSON.stringify(imageData.faceCoordinates) : null
         ]);
     }
 
+    async getImageById(imageId) {
+        const sql = 'SELECT * FROM images WHERE id = ?';
+        return this.get(sql, [imageId]);
+    }
+
+    async updateImageProcessing(imageId, processingData) {
+        const sql = `
+            UPDATE images
+            SET processing_status = ?, is_processed = ?, width = COALESCE(?, width),
+                height = COALESCE(?, height), thumbnail_path = COALESCE(?, thumbnail_path),
+                metadata = COALESCE(?, metadata)
+            WHERE id = ?
+        `;
+        return this.run(sql, [
+            processingData.status,
+            processingData.status === 'processed' ? 1 : 0,
+            processingData.width,
+            processingData.height,
+            processingData.thumbnailPath,
+            processingData.metadata ? JSON.stringify(processingData.metadata) : null,
+            imageId
+        ]);
+    }
+
+    // Foreign keys are not enforced, so dependent rows are removed explicitly.
+    // Returns the session's images so the caller can remove their files.
+    async deleteSession(sessionId) {
+        return this.transaction(async () => {
+            const images = await this.all('SELECT * FROM images WHERE session_id = ?', [sessionId]);
+
+            await this.run('DELETE FROM emotions WHERE session_id = ?', [sessionId]);
+            await this.run('DELETE FROM images WHERE session_id = ?', [sessionId]);
+            await this.run('DELETE FROM analytics WHERE session_id = ?', [sessionId]);
+            await this.run('DELETE FROM emotion_summaries WHERE session_id = ?', [sessionId]);
+            await this.run('DELETE FROM results WHERE session_id = ?', [sessionId]);
+            await this.run('DELETE FROM sessions WHERE id = ?', [sessionId]);
+
+            return images;
+        });
+    }
+
+    async createResult(resultData) {
+        const sql = `
+            INSERT INTO results (
+                user_id, session_id, token_hash, emotion_type, confidence_score,
+                expressions, metadata, expires_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        return this.run(sql, [
+            resultData.userId,
+            resultData.sessionId,
+            resultData.tokenHash,
+            resultData.emotionType,
+            resultData.confidenceScore,
+            JSON.stringify(resultData.expressions),
+            resultData.metadata ? JSON.stringify(resultData.metadata) : null,
+            resultData.expiresAt
+        ]);
+    }
+
+    async findResultByTokenHash(tokenHash) {
+        const sql = 'SELECT * FROM results WHERE token_hash = ?';
+        return this.get(sql, [tokenHash]);
+    }
+
+    async deleteResult(resultId) {
+        return this.run('DELETE FROM results WHERE id = ?', [resultId]);
+    }
+
+    async findSessionImageByOriginalName(sessionId, originalFilename) {
+        const sql = 'SELECT * FROM images WHERE session_id = ? AND original_filename = ?';
+        return this.get(sql, [sessionId, originalFilename]);
+    }
+
     async getImagesBySession(sessionId, limit = 50, offset = 0) {
         const sql = `
             SELECT * FROM images 
@@ -11,7 +11,26 @@ CREATE TABLE IF NOT EXISTS users (
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     is_active BOOLEAN DEFAULT 1,
-    last_login DATETIME
+    last_login DATETIME,
+    email_verified BOOLEAN DEFAULT 0,
+    email_verified_at DATETIME
+);
+
+-- Refresh tokens for authentication; every login starts a token family that
+-- rotation keeps alive, and revoking the family invalidates its access tokens
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    family_id VARCHAR(64) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    device_info VARCHAR(500),
+    ip_address VARCHAR(45),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    replaced_by INTEGER,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (replaced_by) REFERENCES refresh_tokens(id) ON DELETE SET NULL
 );
 
 -- Sessions table for tracking emotion detection sessions
@@ -23,7 +42,10 @@ CREATE TABLE IF NOT EXISTS sessions (
     end_time DATETIME,
     duration_seconds INTEGER,
     total_detections INTEGER DEFAULT 0,
-    accuracy_score REAL,
+    accuracy_score REAL, -- Mean face detection score over the session
+    face_present_ratio REAL, -- Share of analyzed frames with at least one face
+    avg_processing_ms REAL,
+    emotion_distribution TEXT, -- JSON object of emotion -> share of analyzed samples
     device_info VARCHAR(500),
     ip_address VARCHAR(45),
     location VARCHAR(255),
@@ -44,6 +66,7 @@ CREATE TABLE IF NOT EXISTS emotions (
     image_id INTEGER,
     processing_time_ms INTEGER,
     raw_data TEXT, -- JSON string of raw face-api results
+    track_id INTEGER, -- Per-session face track when several people are in frame
     FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
     FOREIGN KEY (image_id) REFERENCES images(id) ON DELETE SET NULL
 );
@@ -65,6 +88,7 @@ CREATE TABLE IF NOT EXISTS images (
     processing_status VARCHAR(50) DEFAULT 'pending',
     metadata TEXT, -- JSON string for additional metadata
     thumbnail_path VARCHAR(500),
+    face_coordinates TEXT, -- JSON bounding box of the main face when the frame was captured
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
 );
@@ -99,6 +123,22 @@ CREATE TABLE IF NOT EXISTS emotion_summaries (
     UNIQUE(user_id, session_id, emotion_type)
 );
 
+-- Shareable results, looked up by the hash of their share token
+CREATE TABLE IF NOT EXISTS results (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    session_id INTEGER,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    emotion_type VARCHAR(50) NOT NULL,
+    confidence_score REAL NOT NULL,
+    expressions TEXT NOT NULL, -- JSON object of all seven expression probabilities
+    metadata TEXT, -- JSON string of session metrics and source details
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+);
+
 -- Settings table for user preferences
 CREATE TABLE IF NOT EXISTS user_settings (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -133,10 +173,13 @@ CREATE TABLE IF NOT EXISTS api_usage (
 CREATE INDEX IF NOT EXISTS idx_emotions_session_id ON emotions(session_id);
 CREATE INDEX IF NOT EXISTS idx_emotions_timestamp ON emotions(timestamp);
 CREATE INDEX IF NOT EXISTS idx_emotions_type ON emotions(emotion_type);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
 CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
 CREATE INDEX IF NOT EXISTS idx_sessions_start_time ON sessions(start_time);
 CREATE INDEX IF NOT EXISTS idx_images_user_id ON images(user_id);
 CREATE INDEX IF NOT EXISTS idx_images_session_id ON images(session_id);
+CREATE INDEX IF NOT EXISTS idx_results_user_id ON results(user_id);
 CREATE INDEX IF NOT EXISTS idx_analytics_user_id ON analytics(user_id);
 CREATE INDEX IF NOT EXISTS idx_analytics_metric_type ON analytics(metric_type);
 CREATE INDEX IF NOT EXISTS idx_api_usage_user_id ON api_usage(user_id);
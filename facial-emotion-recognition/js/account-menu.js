@@ -0,0 +1,135 @@
+// Sign-in/sign-out control in the page header. The token pair it stores is what
+// detection sync, settings sync, history and sharing send with their requests.
+// onChange(user) runs after every sign-in (with the user) and sign-out (with null).
+class AccountMenu {
+    constructor(api, onChange = () => {}) {
+        this.api = api;
+        this.onChange = onChange;
+        this.user = null;
+        this.registering = false;
+
+        this.elements = {
+            button: document.getElementById('accountBtn'),
+            panel: document.getElementById('accountPanel'),
+            signInForm: document.getElementById('signInForm'),
+            title: document.getElementById('signInTitle'),
+            submitLabel: document.getElementById('signInSubmitLabel'),
+            modeBtn: document.getElementById('accountModeBtn'),
+            username: document.getElementById('signInUsername'),
+            email: document.getElementById('signInEmail'),
+            password: document.getElementById('signInPassword'),
+            message: document.getElementById('accountMessage'),
+            signedIn: document.getElementById('accountSignedIn'),
+            name: document.getElementById('accountName'),
+            signOutBtn: document.getElementById('signOutBtn'),
+            signOutAllBtn: document.getElementById('signOutAllBtn')
+        };
+
+        this.bindEvents();
+        this.render();
+        this.loadUser();
+    }
+
+    bindEvents() {
+        this.elements.button.addEventListener('click', () => this.toggle());
+        this.elements.signInForm.addEventListener('submit', (e) => this.signIn(e));
+        this.elements.modeBtn.addEventListener('click', () => this.setRegistering(!this.registering));
+        this.elements.signOutBtn.addEventListener('click', () => this.signOut(false));
+        this.elements.signOutAllBtn.addEventListener('click', () => this.signOut(true));
+
+        document.addEventListener('click', (e) => {
+            if (!this.elements.panel.contains(e.target) && !this.elements.button.contains(e.target)) {
+                this.elements.panel.hidden = true;
+            }
+        });
+    }
+
+    toggle() {
+        this.elements.panel.hidden = !this.elements.panel.hidden;
+        if (!this.elements.panel.hidden && !this.user) {
+            this.elements.email.focus();
+        }
+    }
+
+    // The same form creates an account, with a username field added
+    setRegistering(registering) {
+        this.registering = registering;
+        this.showMessage('');
+
+        this.elements.title.textContent = registering ? 'Create an account' : 'Sign in';
+        this.elements.submitLabel.textContent = registering ? 'Create account' : 'Sign in';
+        this.elements.modeBtn.textContent = registering ? 'I already have an account' : 'Create an account';
+        this.elements.username.hidden = !registering;
+        this.elements.username.required = registering;
+        this.elements.password.autocomplete = registering ? 'new-password' : 'current-password';
+    }
+
+    // A stored token may have expired; asking for the profile refreshes or clears it
+    async loadUser() {
+        if (!EmotionApiClient.storedToken()) return;
+
+        try {
+            this.user = await this.api.getCurrentUser();
+        } catch (error) {
+            if (error.status === 401) {
+                EmotionApiClient.clearTokens();
+            } else {
+                console.warn('Failed to load the signed-in user:', error.message);
+            }
+        }
+        this.render();
+    }
+
+    async signIn(e) {
+        e.preventDefault();
+        this.showMessage('');
+
+        const submit = this.elements.signInForm.querySelector('button[type="submit"]');
+        submit.disabled = true;
+
+        try {
+            const { username, email, password } = this.elements;
+            this.user = this.registering
+                ? await this.api.register(username.value, email.value, password.value)
+                : await this.api.login(email.value, password.value);
+            this.elements.signInForm.reset();
+            this.setRegistering(false);
+            this.elements.panel.hidden = true;
+            this.render();
+            this.onChange(this.user);
+        } catch (error) {
+            this.showMessage(error.message, true);
+        } finally {
+            submit.disabled = false;
+        }
+    }
+
+    // Tokens are dropped locally even when the server cannot be reached
+    async signOut(allDevices) {
+        try {
+            await (allDevices ? this.api.logoutAllDevices() : this.api.logout());
+        } catch (error) {
+            console.warn('Sign out request failed:', error.message);
+        }
+
+        this.user = null;
+        this.elements.panel.hidden = true;
+        this.render();
+        this.onChange(null);
+    }
+
+    render() {
+        const signedIn = Boolean(this.user);
+
+        this.elements.button.title = signedIn ? `Signed in as ${this.user.username}` : 'Sign in';
+        this.elements.button.classList.toggle('signed-in', signedIn);
+        this.elements.signInForm.hidden = signedIn;
+        this.elements.signedIn.hidden = !signedIn;
+        this.elements.name.textContent = signedIn ? this.user.username : '';
+    }
+
+    showMessage(message, isError = false) {
+        this.elements.message.textContent = message;
+        this.elements.message.className = isError ? 'account-message error' : 'account-message';
+    }
+}
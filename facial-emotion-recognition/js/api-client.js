@@ -0,0 +1,261 @@
+// Thin wrapper around the EmotionAI backend REST API
+class EmotionApiClient {
+    constructor(baseUrl = self.EMOTION_API_BASE || '', getToken = EmotionApiClient.storedToken) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.getToken = getToken;
+        this.refreshing = null;
+    }
+
+    // Pages keep the JWT in localStorage; workers pass their own getToken
+    static storedToken() {
+        return self.localStorage ? localStorage.getItem('authToken') : null;
+    }
+
+    static storeTokens({ token, refreshToken }) {
+        localStorage.setItem('authToken', token);
+        localStorage.setItem('refreshToken', refreshToken);
+    }
+
+    static clearTokens() {
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('refreshToken');
+
+        // Cached API responses belong to the signed-out user
+        const serviceWorker = self.navigator && navigator.serviceWorker;
+        if (serviceWorker && serviceWorker.controller) {
+            serviceWorker.controller.postMessage({ type: 'CLEAR_API_CACHE' });
+        }
+    }
+
+    async request(method, path, body, retried = false) {
+        const response = await this.send(method, path, body, retried);
+        return response.json().catch(() => ({}));
+    }
+
+    // For endpoints that return a file rather than JSON
+    async requestBlob(path) {
+        const response = await this.send('GET', path);
+        return response.blob();
+    }
+
+    // Returns the successful Response; errors are thrown with the API's message and status
+    async send(method, path, body, retried = false) {
+        // Uploads are sent as multipart form data, everything else as JSON
+        const isForm = typeof FormData !== 'undefined' && body instanceof FormData;
+        const options = {
+            method,
+            headers: isForm ? {} : { 'Content-Type': 'application/json' }
+        };
+
+        const token = await this.getToken();
+        if (token) {
+            options.headers.Authorization = `Bearer ${token}`;
+        }
+
+        if (body !== undefined) {
+            options.body = isForm ? body : JSON.stringify(body);
+        }
+
+        const response = await fetch(`${this.baseUrl}/api${path}`, options);
+
+        // Access tokens are short-lived, so refresh once and retry
+        if (response.status === 401 && !retried && await this.refreshAccessToken()) {
+            return this.send(method, path, body, true);
+        }
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            const error = new Error(data.error || `Request failed with status ${response.status}`);
+            error.status = response.status;
+
+            // Seconds until the rate limiter lets requests through again
+            const retryAfter = parseInt(response.headers.get('Retry-After'));
+            if (retryAfter > 0) {
+                error.retryAfter = retryAfter;
+            }
+            throw error;
+        }
+
+        return response;
+    }
+
+    // Only pages hold the refresh token; the service worker waits for a fresh access token.
+    // Concurrent callers share one refresh so a rotated token is never sent twice.
+    refreshAccessToken() {
+        const refreshToken = self.localStorage ? localStorage.getItem('refreshToken') : null;
+        if (!refreshToken) return Promise.resolve(null);
+
+        if (!this.refreshing) {
+            this.refreshing = this.request('POST', '/auth/refresh', { refreshToken }, true)
+                .then(data => {
+                    EmotionApiClient.storeTokens(data);
+                    return data.token;
+                })
+                .catch(error => {
+                    if (error.status === 401) {
+                        EmotionApiClient.clearTokens();
+                    }
+                    return null;
+                })
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+        return this.refreshing;
+    }
+
+    async register(username, email, password) {
+        const data = await this.request('POST', '/auth/register', { username, email, password }, true);
+        EmotionApiClient.storeTokens(data);
+        return data.user;
+    }
+
+    async login(email, password) {
+        const data = await this.request('POST', '/auth/login', { email, password }, true);
+        EmotionApiClient.storeTokens(data);
+        return data.user;
+    }
+
+    async logout() {
+        try {
+            await this.request('POST', '/auth/logout');
+        } finally {
+            EmotionApiClient.clearTokens();
+        }
+    }
+
+    async logoutAllDevices() {
+        try {
+            await this.request('POST', '/auth/logout-all');
+        } finally {
+            EmotionApiClient.clearTokens();
+        }
+    }
+
+    async getSettings() {
+        const data = await this.request('GET', '/settings');
+        return data.settings;
+    }
+
+    async updateSettings(changes) {
+        const data = await this.request('PUT', '/settings', changes);
+        return data.settings;
+    }
+
+    async getCurrentUser() {
+        const data = await this.request('GET', '/users/me');
+        return data.user;
+    }
+
+    // Returns { sessions, pagination: { limit, offset, total } }
+    async getUserSessions(userId, { limit = 20, offset = 0, search = '' } = {}) {
+        const query = new URLSearchParams({ limit, offset, search });
+        return this.request('GET', `/sessions/user/${userId}?${query}`);
+    }
+
+    async getSessionSummary(sessionId) {
+        const data = await this.request('GET', `/emotions/summary/session/${sessionId}`);
+        return data.summary;
+    }
+
+    async getSessionImages(sessionId) {
+        const data = await this.request('GET', `/images/session/${sessionId}`);
+        return data.images;
+    }
+
+    async renameSession(sessionId, sessionName) {
+        const data = await this.request('PUT', `/sessions/${sessionId}`, { sessionName });
+        return data.session;
+    }
+
+    async deleteSession(sessionId) {
+        return this.request('DELETE', `/sessions/${sessionId}`);
+    }
+
+    // faceCoordinates is the main face's { x, y, width, height } in the image's pixels
+    async uploadImage(blob, sessionId, filename = 'capture.jpg', faceCoordinates = null) {
+        const form = new FormData();
+        form.append('image', blob, filename);
+        if (sessionId) {
+            form.append('sessionId', String(sessionId));
+        }
+        if (faceCoordinates) {
+            form.append('faceCoordinates', JSON.stringify(faceCoordinates));
+        }
+
+        const data = await this.request('POST', '/images', form);
+        return data.image;
+    }
+
+    // Returns { token, shareUrl, expiresAt }
+    async createResult(resultData) {
+        return this.request('POST', '/results', resultData);
+    }
+
+    async getSharedResult(token) {
+        const data = await this.request('GET', `/results/${encodeURIComponent(token)}`);
+        return data.result;
+    }
+
+    async getSession(sessionId) {
+        const data = await this.request('GET', `/sessions/${sessionId}`);
+        return data.session;
+    }
+
+    async getSessionReport(sessionId) {
+        const data = await this.request('GET', `/sessions/${sessionId}/report`);
+        return data.report;
+    }
+
+    async getSessionReportPdf(sessionId) {
+        return this.requestBlob(`/sessions/${sessionId}/report.pdf`);
+    }
+
+    async getSessions() {
+        const data = await this.request('GET', '/sessions');
+        return data.sessions;
+    }
+
+    // Every detection of the session, oldest first
+    async getSessionEmotions(sessionId) {
+        const data = await this.request('GET', `/emotions/session/${sessionId}/all`);
+        return data.emotions;
+    }
+
+    async createSession(sessionData) {
+        const data = await this.request('POST', '/sessions', sessionData);
+        return data.session;
+    }
+
+    async endSession(sessionId, summary) {
+        return this.request('PUT', `/sessions/${sessionId}/end`, summary);
+    }
+
+    // Posts detections in chunks to the batch endpoint, returning how many were accepted.
+    // Rejected items are skipped; network, auth and server errors stop the upload and
+    // report how many items were already handled in error.processed.
+    async recordEmotions(emotions, chunkSize = 500) {
+        let recorded = 0;
+
+        for (let start = 0; start < emotions.length; start += chunkSize) {
+            const chunk = emotions.slice(start, start + chunkSize);
+
+            try {
+                const data = await this.request('POST', '/emotions/batch', { emotions: chunk });
+                recorded += data.inserted;
+                data.errors.forEach(({ index, error }) => {
+                    console.warn(`Emotion ${start + index} rejected:`, error);
+                });
+            } catch (error) {
+                // A 401 that survived the refresh means the token has to be renewed by a page
+                if (!error.status || error.status === 401 || error.status === 429 || error.status >= 500) {
+                    error.processed = start;
+                    throw error;
+                }
+                console.warn('Emotion batch rejected:', error.message);
+            }
+        }
+
+        return recorded;
+    }
+}
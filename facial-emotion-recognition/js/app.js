@@ -9,10 +9,58 @@ class EmotionApp {
         this.modelsLoaded = false;
         this.emotionHistory = [];
         this.sessionStartTime = null;
+        this.faceTracker = new FaceTracker();
+        this.engine = new EmotionEngine();
+        this.analyzer = this.engine.realTimeAnalyzer;
+        this.moodTracker = this.engine.moodTracker;
+        this.sessionMetrics = this.engine.sessionMetrics;
+        this.primaryTrackId = null;
+        this.displayedTrackId = null;
+        // Main face of the latest tick and its latest age/gender estimate, for the result report
+        this.primaryFace = null;
+        this.primarySubject = null;
+        this.faceAttributes = new Map();
+        // Set self.EMOTION_ASSET_CONFIG = { useCdnFallback: true } before app.js to allow CDN models
+        this.assetConfig = { useCdnFallback: false, ...self.EMOTION_ASSET_CONFIG };
+        this.assetIntegrity = new AssetIntegrity();
+        this.expressionsPending = false;
+        // Inference runs in a worker where OffscreenCanvas allows it, otherwise on this thread
+        this.inference = WorkerFaceInference.isSupported() ? new WorkerFaceInference() : new FaceInference();
+        this.scheduler = new FrameScheduler((now) => this.detectEmotions(now), {
+            getTargetFps: () => this.analyzer.frameRate,
+            // The face detector runs every tick; these heavier models run less often
+            stageRates: { expressions: 10, ageGender: 2 },
+            onStats: (stats) => this.updatePerformanceStats(stats)
+        });
+        this.settings = {
+            sensitivity: 0.75,
+            theme: 'light',
+            autoSave: true,
+            showAgeGender: false
+        };
+        this.pendingSettings = {};
+        this.settingsSaveTimer = null;
+
+        // Backend sync state, writes go through the IndexedDB outbox
+        this.api = new EmotionApiClient();
+        this.outbox = 'indexedDB' in window ? new DetectionOutbox(this.api) : null;
+        this.clientSessionId = null;
+        this.syncEnabled = false;
+        this.pendingDetections = [];
+        this.syncIntervalMs = 15000; // one batch per 15s keeps a session under the API rate limit
+        this.syncTimer = null;
+        this.flushQueue = Promise.resolve();
+        this.replayPausedUntil = 0;
+        this.replayRetryTimer = null;
         
         this.initializeElements();
+        this.timeline = new EmotionTimeline(this.elements.emotionChart);
+        this.accountMenu = new AccountMenu(this.api, (user) => this.handleAccountChange(user));
         this.bindEvents();
         this.loadSettings();
+        this.registerServiceWorker();
+        this.replayOutbox();
+        this.loadTimelineSessions();
     }
 
     initializeElements() {
@@ -25,15 +73,25 @@ class EmotionApp {
             emotionProgress: document.getElementById('emotionProgress'),
             emotionDescription: document.getElementById('emotionDescription'),
             emotionIcon: document.getElementById('emotionIcon'),
+            facePanels: document.getElementById('facePanels'),
             faceIndicator: document.getElementById('faceIndicator'),
             totalDetections: document.getElementById('totalDetections'),
             sessionTime: document.getElementById('sessionTime'),
+            currentMood: document.getElementById('currentMood'),
+            accuracyRate: document.getElementById('accuracyRate'),
+            resultsLink: document.getElementById('resultsLink'),
+            measuredFps: document.getElementById('measuredFps'),
+            stageTimings: document.getElementById('stageTimings'),
+            timelineSource: document.getElementById('timelineSource'),
+            emotionChart: document.getElementById('emotionChart'),
             themeToggle: document.getElementById('themeToggle'),
             settingsBtn: document.getElementById('settingsBtn'),
             settingsModal: document.getElementById('settingsModal'),
             closeSettings: document.getElementById('closeSettings'),
             sensitivitySlider: document.getElementById('sensitivitySlider'),
             sensitivityValue: document.getElementById('sensitivityValue'),
+            autoSaveToggle: document.getElementById('autoSave'),
+            showAgeGenderToggle: document.getElementById('showAgeGender'),
             uploadZone: document.getElementById('uploadZone'),
             fileInput: document.getElementById('fileInput'),
             previewImage: document.getElementById('previewImage'),
@@ -50,20 +108,85 @@ class EmotionApp {
         this.elements.settingsBtn.addEventListener('click', () => this.openSettings());
         this.elements.closeSettings.addEventListener('click', () => this.closeSettings());
         this.elements.sensitivitySlider.addEventListener('input', (e) => this.updateSensitivity(e));
+        this.elements.autoSaveToggle.addEventListener('change', (e) => this.updateSetting('autoSave', e.target.checked));
+        this.elements.showAgeGenderToggle.addEventListener('change', (e) => this.updateSetting('showAgeGender', e.target.checked));
         
         // Upload events
         this.elements.uploadZone.addEventListener('click', () => this.elements.fileInput.click());
         this.elements.fileInput.addEventListener('change', (e) => this.handleFileUpload(e));
         this.elements.uploadZone.addEventListener('dragover', (e) => this.handleDragOver(e));
         this.elements.uploadZone.addEventListener('drop', (e) => this.handleDrop(e));
+
+        // Timeline switches between the live feed and past sessions
+        this.elements.timelineSource.addEventListener('focus', () => this.loadTimelineSessions());
+        this.elements.timelineSource.addEventListener('change', (e) => this.selectTimelineSource(e.target.value));
+
+        // Display and persistence follow smoothed emotion changes, not raw frames
+        this.analyzer.addEventListener('emotionchange', (e) => this.handleEmotionChange(e.detail));
+        this.moodTracker.addEventListener('moodchange', (e) => this.updateMoodDisplay(e.detail.mood));
+        this.moodTracker.addEventListener('sustainedmood', (e) => this.handleSustainedMood(e.detail));
+
+        // Replay queued writes as soon as the network comes back
+        window.addEventListener('online', () => this.replayOutbox());
+    }
+
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        let registration;
+        try {
+            registration = await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            console.warn('Service worker registration failed:', error.message);
+            return;
+        }
+
+        // A new worker waits until the user chooses to reload, so a running session isn't cut off
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdateBanner(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdateBanner(worker);
+                }
+            });
+        });
+
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading) return;
+            reloading = true;
+            window.location.reload();
+        });
+
+        // Long-lived tabs check for a new version every hour
+        setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+    }
+
+    showUpdateBanner(worker) {
+        const banner = document.getElementById('updateBanner');
+        const reloadBtn = document.getElementById('updateReloadBtn');
+
+        reloadBtn.onclick = () => {
+            reloadBtn.disabled = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        };
+        banner.hidden = false;
     }
 
     async loadModels() {
-        const modelUrls = [
-            'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/weights/',
-            'https://unpkg.com/face-api.js@0.22.2/weights/',
-            './models/'
-        ];
+        // Self-hosted models come first; CDNs are only tried when explicitly allowed
+        const modelUrls = ['./models/'];
+        if (this.assetConfig.useCdnFallback) {
+            modelUrls.push(
+                'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/weights/',
+                'https://unpkg.com/face-api.js@0.22.2/weights/'
+            );
+        }
         
         let lastError = null;
         
@@ -73,16 +196,10 @@ class EmotionApp {
                 
                 // Check if it's a local path
                 if (modelUrl.startsWith('./')) {
-                    // Try local models first
                     await this.loadLocalModels();
                 } else {
                     // Try CDN
-                    await Promise.all([
-                        faceapi.nets.tinyFaceDetector.loadFromUri(modelUrl),
-                        faceapi.nets.faceLandmark68Net.loadFromUri(modelUrl),
-                        faceapi.nets.faceExpressionNet.loadFromUri(modelUrl),
-                        faceapi.nets.ageGenderNet.loadFromUri(modelUrl)
-                    ]);
+                    await this.loadModelsFrom(modelUrl);
                 }
                 
                 this.modelsLoaded = true;
@@ -92,13 +209,6 @@ class EmotionApp {
             } catch (error) {
                 lastError = error;
                 console.warn(`Failed to load from ${modelUrl}:`, error.message);
-                
-                // Check if it's a network error
-                if (error.message.includes('network') || error.message.includes('fetch')) {
-                    continue; // Try next URL
-                } else {
-                    break; // Stop on other errors
-                }
             }
         }
         
@@ -107,46 +217,35 @@ class EmotionApp {
         this.showDetailedError(lastError);
     }
 
+    // Every file under models/ must match its hash in assets-manifest.json before it is used
     async loadLocalModels() {
-        // Check if local models exist
-        const localModelPath = './models/';
-        const models = [
-            'tiny_face_detector_model-weights_manifest.json',
-            'face_landmark_68_model-weights_manifest.json',
-            'face_expression_model-weights_manifest.json',
-            'age_gender_model-weights_manifest.json'
-        ];
-        
-        // Check if local models are available
-        const modelChecks = await Promise.all(
-            models.map(model => this.checkLocalModel(localModelPath + model))
-        );
-        
-        if (modelChecks.every(check => check)) {
-            await Promise.all([
-                faceapi.nets.tinyFaceDetector.loadFromUri(localModelPath),
-                faceapi.nets.faceLandmark68Net.loadFromUri(localModelPath),
-                faceapi.nets.faceExpressionNet.loadFromUri(localModelPath),
-                faceapi.nets.ageGenderNet.loadFromUri(localModelPath)
-            ]);
-        } else {
-            throw new Error('Local models not found');
-        }
+        await this.assetIntegrity.verify('models/');
+        await this.loadModelsFrom('./models/');
     }
 
-    async checkLocalModel(path) {
+    async loadModelsFrom(modelUrl) {
         try {
-            const response = await fetch(path, { method: 'HEAD' });
-            return response.ok;
-        } catch {
-            return false;
+            await this.inference.load(modelUrl);
+        } catch (error) {
+            if (!error.workerFailed) throw error;
+
+            console.warn('Falling back to main-thread inference:', error.message);
+            this.inference.terminate();
+            this.inference = new FaceInference();
+            await this.inference.load(modelUrl);
         }
     }
 
     showDetailedError(error) {
         let message = 'Failed to load AI models. ';
         
-        if (error.message.includes('network') || error.message.includes('fetch')) {
+        if (error.failures && error.failures.length > 0) {
+            message += `${error.message}:\n` + error.failures
+                .map(({ path, reason }) => `${path}: ${reason}`)
+                .join('\n');
+        } else if (error instanceof AssetIntegrityError) {
+            message += error.message;
+        } else if (error.message.includes('network') || error.message.includes('fetch')) {
             message += 'Please check your internet connection or try refreshing the page.';
         } else if (error.message.includes('404')) {
             message += 'Model files not found. Please contact support.';
@@ -176,6 +275,7 @@ class EmotionApp {
                 this.video.play();
                 this.startEmotionDetection();
                 this.sessionStartTime = Date.now();
+                this.startSyncSession();
                 this.updateSessionTime();
                 this.elements.startBtn.disabled = true;
                 this.elements.stopBtn.disabled = false;
@@ -188,11 +288,27 @@ class EmotionApp {
     }
 
     stopDetection() {
+        // Taken while the camera still delivers frames
+        const reportFrame = this.isDetecting ? this.captureReportFrame() : null;
         if (this.stream) {
             this.stream.getTracks().forEach(track => track.stop());
             this.stream = null;
         }
+        if (this.isDetecting) {
+            this.saveSessionResult(reportFrame);
+        }
         this.isDetecting = false;
+        this.scheduler.stop();
+        this.faceAttributes.clear();
+        this.endSyncSession();
+        this.faceTracker.reset();
+        this.analyzer.stop();
+        this.moodTracker.flush();
+        this.updateMoodDisplay(this.moodTracker.currentMood);
+        this.primaryTrackId = null;
+        this.displayedTrackId = null;
+        this.primaryFace = null;
+        this.elements.facePanels.innerHTML = '';
         this.canvas.clearRect(0, 0, this.overlay.width, this.overlay.height);
         this.elements.startBtn.disabled = false;
         this.elements.stopBtn.disabled = true;
@@ -202,11 +318,20 @@ class EmotionApp {
 
     startEmotionDetection() {
         this.isDetecting = true;
+        this.analyzer.start();
+        this.sessionMetrics.reset();
+        this.primarySubject = null;
+        this.elements.accuracyRate.textContent = '--';
+        this.timeline.clearLive();
+        this.elements.timelineSource.value = 'live';
+        this.timeline.showLive();
         this.elements.faceIndicator.style.display = 'none';
-        this.detectEmotions();
+        this.scheduler.start();
     }
 
-    async detectEmotions() {
+    // One scheduler tick: detect and track faces, asking for the expression and
+    // age/gender models only when their stage is due
+    async detectEmotions(now) {
         if (!this.isDetecting) return;
 
         const displaySize = {
@@ -214,38 +339,234 @@ class EmotionApp {
             height: this.video.videoHeight || this.video.height
         };
 
-        faceapi.matchDimensions(this.overlay, displaySize);
+        // New faces get their expressions right away instead of waiting for the next run
+        const needsExpressions = this.expressionsPending || this.scheduler.isDue('expressions', now);
+        // Age and gender are only shown on the overlay or stored with saved records
+        const wantsAgeGender = this.settings.showAgeGender || this.settings.autoSave;
+        const needsAgeGender = wantsAgeGender && this.scheduler.isDue('ageGender', now);
 
-        const detections = await faceapi
-            .detectAllFaces(this.video, new faceapi.TinyFaceDetectorOptions())
-            .withFaceLandmarks()
-            .withFaceExpressions()
-            .withAgeAndGender();
+        const startedAt = performance.now();
+        const { faces: found, timings, imageDims } = await this.inference.detect(this.video, {
+            scoreThreshold: this.detectorThreshold(),
+            expressions: needsExpressions,
+            ageGender: needsAgeGender
+        });
+        const processingTime = Math.round(performance.now() - startedAt);
+
+        Object.entries(timings).forEach(([stage, ms]) => this.scheduler.recordTiming(stage, now, ms));
+
+        // Detection may have been stopped while the models were running
+        if (!this.isDetecting) return;
 
+        faceapi.matchDimensions(this.overlay, displaySize);
         this.canvas.clearRect(0, 0, this.overlay.width, this.overlay.height);
 
-        if (detections.length > 0) {
-            const resizedDetections = faceapi.resizeResults(detections, displaySize);
-            
+        const timestamp = Date.now();
+        const detections = found.map(face => FaceInference.toFaceApiResult(face, imageDims));
+        this.sessionMetrics.recordFrame(found.map(face => face.score), processingTime);
+        const resizedDetections = faceapi.resizeResults(detections, displaySize);
+        const tracked = this.faceTracker.update(resizedDetections, timestamp);
+        this.analyzer.prune(this.faceTracker.tracks.keys());
+        this.pruneFaceAttributes();
+
+        // Keep the latest predictions per person; ticks without them reuse the last ones
+        tracked.forEach(({ trackId, detection }) => {
+            const attributes = { ...this.faceAttributes.get(trackId) };
+            if (detection.expressions) {
+                attributes.expressions = detection.expressions;
+            }
+            if (detection.age !== undefined) {
+                const { age, gender, genderProbability } = detection;
+                Object.assign(attributes, { age, gender, genderProbability });
+            }
+            this.faceAttributes.set(trackId, attributes);
+        });
+
+        const analyzable = tracked.filter(({ trackId }) => this.faceAttributes.get(trackId).expressions);
+        this.expressionsPending = analyzable.length < tracked.length;
+
+        // The main card follows the face that has been tracked the longest
+        if (analyzable.length > 0) {
+            this.primaryTrackId = Math.min(...analyzable.map(face => face.trackId));
+        }
+
+        // May fire emotionchange, which updates the display and saves the detection.
+        // The analyzer is only fed fresh expressions so reused ones don't count twice.
+        const faces = analyzable.map(({ trackId, detection }) => {
+            const face = { ...detection, ...this.faceAttributes.get(trackId) };
+            const fresh = Boolean(detection.expressions);
+
+            return {
+                trackId,
+                fresh,
+                detection: face,
+                state: fresh
+                    ? this.analyzer.process(face.expressions, {
+                        trackId,
+                        timestamp,
+                        context: { detection: face, processingTime }
+                    })
+                    : this.analyzer.getState(trackId)
+            };
+        });
+
+        if (tracked.length > 0) {
             // Draw face detection
             faceapi.draw.drawDetections(this.overlay, resizedDetections);
             faceapi.draw.drawFaceLandmarks(this.overlay, resizedDetections);
+            this.drawFaceLabels(tracked.map(({ trackId, detection }) => ({
+                trackId,
+                detection: { ...detection, ...this.faceAttributes.get(trackId) }
+            })));
+        }
 
-            // Process first face
-            const detection = resizedDetections[0];
-            const expressions = detection.expressions;
-            const maxEmotion = Object.entries(expressions).reduce((max, curr) => 
-                curr[1] > max[1] ? curr : max
-            );
+        this.primaryFace = null;
+        if (faces.length > 0) {
+            const primary = faces.find(face => face.trackId === this.primaryTrackId);
+            this.primaryFace = primary.detection;
+            if (typeof primary.detection.age === 'number') {
+                const { age, gender, genderProbability } = primary.detection;
+                this.primarySubject = { age: Math.round(age), gender, genderProbability };
+            }
 
-            this.updateEmotionDisplay(maxEmotion, detection);
-            this.saveEmotionData(maxEmotion[0], maxEmotion[1]);
+            if (primary.trackId !== this.displayedTrackId) {
+                this.showEmotionState(primary.state);
+                this.displayedTrackId = primary.trackId;
+            } else {
+                this.updateConfidence(primary.state.confidence);
+            }
+
+            // Mood and the timeline follow the main face only
+            if (primary.fresh) {
+                this.moodTracker.addSample(primary.state.expressions, timestamp);
+                this.timeline.addSample(primary.detection.expressions, timestamp);
+                this.sessionMetrics.recordEmotion(primary.state.emotion, primary.state.confidence);
+                this.sessionMetrics.recordExpressions(primary.detection.expressions);
+            }
         }
 
-        requestAnimationFrame(() => this.detectEmotions());
+        this.updateFacePanels(faces);
+    }
+
+    pruneFaceAttributes() {
+        for (const trackId of this.faceAttributes.keys()) {
+            if (!this.faceTracker.tracks.has(trackId)) {
+                this.faceAttributes.delete(trackId);
+            }
+        }
     }
 
-    updateEmotionDisplay(emotion, detection) {
+    updatePerformanceStats({ fps, targetFps, stageTimings }) {
+        const meanScore = this.sessionMetrics.getMeanDetectionScore();
+        this.elements.accuracyRate.textContent = meanScore === null ? '--' : `${Math.round(meanScore * 100)}%`;
+        this.elements.measuredFps.textContent = `${fps} / ${targetFps} FPS`;
+        this.elements.stageTimings.textContent = ['detection', 'expressions', 'ageGender']
+            .filter(stage => stageTimings[stage] !== undefined)
+            .map(stage => `${stage} ${stageTimings[stage]}ms`)
+            .join(' · ') || 'No stages timed yet';
+    }
+
+    handleEmotionChange(change) {
+        if (change.trackId === this.primaryTrackId) {
+            this.showEmotionState(change.next);
+            this.displayedTrackId = change.trackId;
+            this.timeline.markChange(change.next.emotion, change.timestamp);
+        }
+
+        // Uncertain stretches are shown but not recorded
+        if (change.next.emotion !== 'uncertain') {
+            this.saveEmotionData(change);
+        }
+    }
+
+    updateMoodDisplay(mood) {
+        this.elements.currentMood.textContent = mood.charAt(0).toUpperCase() + mood.slice(1);
+    }
+
+    handleSustainedMood({ mood, duration }) {
+        const advice = this.moodTracker.getRecommendations(mood);
+        if (advice.length === 0) return;
+
+        const minutes = Math.floor(duration / 60000);
+        this.showNotice(`You have seemed ${mood} for ${minutes}+ minutes. ${advice[0]}.`, '#6366f1');
+    }
+
+    showEmotionState(state) {
+        if (state.emotion === 'uncertain') {
+            this.showUncertainEmotion([state.guess, state.confidence]);
+        } else {
+            this.updateEmotionDisplay([state.emotion, state.confidence]);
+        }
+    }
+
+    updateConfidence(confidence) {
+        const percentage = Math.round(confidence * 100);
+        this.elements.emotionConfidence.textContent = `${percentage}%`;
+        this.elements.emotionProgress.style.width = `${percentage}%`;
+    }
+
+    getTopExpression(expressions) {
+        return Object.entries(expressions).reduce((max, curr) => 
+            curr[1] > max[1] ? curr : max
+        );
+    }
+
+    // The sensitivity slider is the minimum expression confidence. The face detector
+    // runs 0.25 below it so faces are still found at the strictest setting.
+    detectorThreshold() {
+        return Math.max(this.settings.sensitivity - 0.25, 0.1);
+    }
+
+    showUncertainEmotion(emotion) {
+        const [emotionName, confidence] = emotion;
+        const percentage = Math.round(confidence * 100);
+        const threshold = Math.round(this.settings.sensitivity * 100);
+
+        this.elements.emotionName.textContent = 'Uncertain';
+        this.elements.emotionConfidence.textContent = `${percentage}%`;
+        this.elements.emotionProgress.style.width = `${percentage}%`;
+        this.elements.emotionDescription.textContent =
+            `Possibly ${emotionName}, but below the ${threshold}% sensitivity threshold.`;
+        this.elements.emotionIcon.innerHTML = '<i class="fas fa-question"></i>';
+        this.elements.emotionIcon.style.color = '#6b7280';
+    }
+
+    drawFaceLabels(faces) {
+        faces.forEach(({ trackId, detection }) => {
+            const lines = [`Person ${trackId}`];
+
+            if (this.settings.showAgeGender && typeof detection.age === 'number') {
+                lines.push(`${Math.round(detection.age)} years`, detection.gender);
+            }
+
+            new faceapi.draw.DrawTextField(lines, detection.detection.box.bottomLeft).draw(this.overlay);
+        });
+    }
+
+    // One small card per tracked person, in track order so cards don't jump around
+    updateFacePanels(faces) {
+        if (faces.length < 2) {
+            this.elements.facePanels.innerHTML = '';
+            return;
+        }
+
+        this.elements.facePanels.innerHTML = [...faces]
+            .sort((a, b) => a.trackId - b.trackId)
+            .map(({ trackId, state }) => {
+                const uncertain = state.emotion === 'uncertain';
+                const label = state.emotion.charAt(0).toUpperCase() + state.emotion.slice(1);
+
+                return `
+                    <div class="face-panel${uncertain ? ' uncertain' : ''}">
+                        <h4>Person ${trackId}</h4>
+                        <p>${label} · ${Math.round(state.confidence * 100)}%</p>
+                    </div>
+                `;
+            })
+            .join('');
+    }
+
+    updateEmotionDisplay(emotion) {
         const [emotionName, confidence] = emotion;
         const percentage = Math.round(confidence * 100);
         
@@ -294,21 +615,327 @@ class EmotionApp {
         return descriptions[emotion] || "Emotion detected.";
     }
 
-    saveEmotionData(emotion, confidence) {
+    // Called once per emotionchange, so each record starts a new stretch of one emotion
+    saveEmotionData(change) {
         const data = {
-            emotion,
-            confidence,
-            timestamp: Date.now(),
-            sessionId: this.sessionStartTime
+            emotion: change.next.emotion,
+            confidence: change.next.confidence,
+            timestamp: change.timestamp,
+            sessionId: this.clientSessionId,
+            trackId: change.trackId
         };
         
         this.emotionHistory.push(data);
+
+        // With auto-save off detections are only counted, not stored or synced
+        if (!this.settings.autoSave) {
+            this.updateStatistics();
+            return;
+        }
+
         localStorage.setItem('emotionHistory', JSON.stringify(this.emotionHistory));
+
+        if (this.syncEnabled && change.detection) {
+            this.pendingDetections.push(this.buildEmotionRecord(change));
+        }
         
         // Update statistics
         this.updateStatistics();
     }
 
+    // Shape a face-api result into the payload POST /api/emotions expects
+    buildEmotionRecord(change) {
+        const { trackId, next, previous, dwellTime, detection, processingTime } = change;
+        const { box, score } = detection.detection;
+        const record = {
+            emotionType: next.emotion,
+            confidenceScore: Math.min(Math.max(next.confidence, 0), 1),
+            faceCoordinates: {
+                x: Math.round(box.x),
+                y: Math.round(box.y),
+                width: Math.round(box.width),
+                height: Math.round(box.height)
+            },
+            processingTimeMs: processingTime,
+            rawData: {
+                expressions: { ...detection.expressions },
+                smoothedExpressions: { ...next.expressions },
+                previousEmotion: previous ? previous.emotion : null,
+                previousDwellMs: dwellTime,
+                detectionScore: score,
+                genderProbability: detection.genderProbability,
+                capturedAt: new Date().toISOString()
+            }
+        };
+
+        if (typeof detection.age === 'number') {
+            record.ageEstimate = Math.min(Math.max(Math.round(detection.age), 0), 120);
+        }
+
+        if (detection.gender === 'male' || detection.gender === 'female') {
+            record.genderEstimate = detection.gender;
+        }
+
+        if (trackId) {
+            record.trackId = trackId;
+        }
+
+        return record;
+    }
+
+    // Without a signed-in user every queued write would be rejected, so nothing is queued
+    startSyncSession() {
+        if (!this.outbox || !EmotionApiClient.storedToken()) return;
+
+        const clientSessionId = DetectionOutbox.createClientSessionId();
+        const sessionData = {
+            sessionName: `Live session ${new Date(this.sessionStartTime).toLocaleString()}`,
+            deviceInfo: navigator.userAgent.slice(0, 500)
+        };
+
+        this.clientSessionId = clientSessionId;
+        this.pendingDetections = [];
+        this.syncEnabled = true;
+
+        this.enqueueOutbox(() => this.outbox.queueSession(clientSessionId, sessionData));
+        this.syncTimer = setInterval(() => this.flushDetections(), this.syncIntervalMs);
+    }
+
+    // Outbox writes are chained so they are stored, and later replayed, in order
+    enqueueOutbox(write) {
+        this.flushQueue = this.flushQueue
+            .then(write)
+            .then(() => {
+                this.replayOutbox();
+            })
+            .catch(error => console.warn('Failed to queue detections for sync:', error.message));
+        return this.flushQueue;
+    }
+
+    flushDetections() {
+        if (this.pendingDetections.length === 0) return this.flushQueue;
+
+        const clientSessionId = this.clientSessionId;
+        const batch = this.pendingDetections.splice(0);
+
+        return this.enqueueOutbox(() => this.outbox.queueEmotions(clientSessionId, batch));
+    }
+
+    async endSyncSession() {
+        clearInterval(this.syncTimer);
+        this.syncTimer = null;
+
+        if (!this.syncEnabled) return;
+
+        this.flushDetections();
+        this.syncEnabled = false;
+
+        const clientSessionId = this.clientSessionId;
+        const endTime = Date.now();
+
+        await this.enqueueOutbox(() => this.outbox.queueSessionEnd(clientSessionId, {
+            endTime: new Date(endTime).toISOString(),
+            duration: Math.round((endTime - this.sessionStartTime) / 1000),
+            metrics: this.sessionMetrics.getSummary()
+        }));
+    }
+
+    // The main face's box in the video's pixels times scale, or null when no face is in frame
+    primaryFaceBox(scale = 1) {
+        if (!this.primaryFace) return null;
+
+        const { x, y, width, height } = this.primaryFace.detection.box;
+        return {
+            x: Math.round(x * scale),
+            y: Math.round(y * scale),
+            width: Math.round(width * scale),
+            height: Math.round(height * scale)
+        };
+    }
+
+    // A downscaled still of the video for the result report
+    captureReportFrame(maxWidth = 640) {
+        if (!this.video.videoWidth) return null;
+
+        const scale = Math.min(1, maxWidth / this.video.videoWidth);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(this.video.videoWidth * scale);
+        canvas.height = Math.round(this.video.videoHeight * scale);
+        canvas.getContext('2d').drawImage(this.video, 0, 0, canvas.width, canvas.height);
+
+        return {
+            canvas,
+            box: this.primaryFaceBox(scale),
+            capturedAt: new Date().toISOString()
+        };
+    }
+
+    // Stores the report frame with the session so its report, the PDF and shared links can show it
+    async uploadReportFrame({ canvas, box }, sessionId) {
+        try {
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+            await this.api.uploadImage(blob, sessionId, `report-${Date.now()}.jpg`, box);
+        } catch (error) {
+            console.warn('Failed to upload the report frame:', error.message);
+        }
+    }
+
+    // The result is kept in this browser for result.html to read. A signed-in user's
+    // synced session links to its stored report (result.html?session=) instead.
+    async saveSessionResult(reportFrame = null) {
+        const dominant = this.sessionMetrics.getDominantEmotion();
+        const expressions = this.sessionMetrics.getMeanExpressions();
+        if (!dominant || !expressions) return;
+
+        // Read before stopDetection ends the sync session
+        const clientSessionId = this.syncEnabled ? this.clientSessionId : null;
+
+        const result = {
+            emotionType: dominant.emotion,
+            confidenceScore: dominant.confidence,
+            expressions,
+            metadata: {
+                source: 'live',
+                startedAt: new Date(this.sessionStartTime).toISOString(),
+                endedAt: new Date().toISOString(),
+                duration: Math.round((Date.now() - this.sessionStartTime) / 1000),
+                share: dominant.share,
+                subject: this.primarySubject,
+                // Kept inline for this browser; the server copy points at the uploaded image
+                frame: reportFrame && {
+                    url: reportFrame.canvas.toDataURL('image/jpeg', 0.8),
+                    width: reportFrame.canvas.width,
+                    height: reportFrame.canvas.height,
+                    box: reportFrame.box,
+                    capturedAt: reportFrame.capturedAt
+                },
+                metrics: this.sessionMetrics.getSummary()
+            }
+        };
+
+        localStorage.setItem('lastSessionResult', JSON.stringify(result));
+        this.elements.resultsLink.href = 'result.html';
+        this.elements.resultsLink.hidden = false;
+
+        if (!EmotionApiClient.storedToken()) return;
+
+        // Nothing is shared until the user asks for a link on the result page;
+        // a synced session opens its report, which only its owner can read
+        try {
+            const sessionId = clientSessionId ? await this.outbox.resolveSessionId(clientSessionId) : null;
+            if (!sessionId) return;
+
+            if (reportFrame) {
+                await this.uploadReportFrame(reportFrame, sessionId);
+            }
+            this.elements.resultsLink.href = `result.html?session=${sessionId}`;
+        } catch (error) {
+            console.warn('Failed to link the session report:', error.message);
+        }
+    }
+
+    async replayOutbox() {
+        if (!this.outbox) return;
+
+        try {
+            // Keep the worker's copy of the token current before it may need it
+            await this.outbox.setAuthToken(EmotionApiClient.storedToken());
+
+            if (!navigator.onLine) {
+                this.requestBackgroundSync();
+                return;
+            }
+
+            // Rate limited: batches stay queued until the scheduled retry
+            if (Date.now() < this.replayPausedUntil) return;
+
+            const result = await this.outbox.replay();
+            if (result.retryAfter) {
+                this.pauseReplay(result.retryAfter);
+            } else if (result.remaining > 0) {
+                this.requestBackgroundSync();
+            }
+        } catch (error) {
+            console.warn('Outbox replay failed:', error.message);
+            this.requestBackgroundSync();
+        }
+    }
+
+    // Waits out the API rate limit instead of sending every new batch into it
+    pauseReplay(seconds) {
+        this.replayPausedUntil = Date.now() + seconds * 1000;
+
+        clearTimeout(this.replayRetryTimer);
+        this.replayRetryTimer = setTimeout(() => {
+            this.replayPausedUntil = 0;
+            this.replayOutbox();
+        }, seconds * 1000);
+    }
+
+    // Pending writes go out with the new token; after signing out
+    // the worker's copy of the token is cleared
+    handleAccountChange(user) {
+        this.replayOutbox();
+
+        if (user) {
+            this.syncSettingsFromServer();
+            this.loadTimelineSessions();
+        }
+    }
+
+    // Lets the service worker finish the replay even if this tab is closed
+    async requestBackgroundSync() {
+        if (!this.outbox || !('serviceWorker' in navigator)) return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.sync) {
+                await registration.sync.register(OUTBOX_SYNC_TAG);
+            }
+        } catch (error) {
+            console.warn('Background sync unavailable:', error.message);
+        }
+    }
+
+    // Fills the timeline picker with the signed-in user's past sessions
+    async loadTimelineSessions() {
+        if (!EmotionApiClient.storedToken()) return;
+
+        try {
+            const sessions = await this.api.getSessions();
+            const select = this.elements.timelineSource;
+            const selected = select.value;
+
+            select.replaceChildren(new Option('Live', 'live'), ...sessions.map(session => {
+                const startedAt = EmotionTimeline.parseServerTime(session.start_time).toLocaleString();
+                return new Option(`${session.session_name} (${startedAt})`, String(session.id));
+            }));
+            select.value = [...select.options].some(option => option.value === selected) ? selected : 'live';
+        } catch (error) {
+            console.warn('Failed to load sessions for the timeline:', error.message);
+        }
+    }
+
+    async selectTimelineSource(value) {
+        if (value === 'live') {
+            this.timeline.showLive();
+            return;
+        }
+
+        try {
+            const emotions = await this.api.getSessionEmotions(value);
+            const count = this.timeline.showHistory(emotions.map(emotion => EmotionTimeline.fromEmotionRow(emotion)));
+            if (count === 0) {
+                this.showNotice('No emotions were recorded in this session.', '#6366f1');
+            }
+        } catch (error) {
+            console.error('Failed to load session timeline:', error);
+            this.showError('Failed to load the session timeline.');
+            this.elements.timelineSource.value = 'live';
+            this.timeline.showLive();
+        }
+    }
+
     updateStatistics() {
         const totalDetections = this.emotionHistory.length;
         this.elements.totalDetections.textContent = totalDetections;
@@ -347,11 +974,30 @@ class EmotionApp {
             timestamp: Date.now()
         });
         localStorage.setItem('emotionCaptures', JSON.stringify(captures));
+        this.uploadCapture(canvas, this.primaryFaceBox());
         
         // Show capture animation
         this.showCaptureAnimation();
     }
 
+    // Captures are also stored with the session on the server once it has been synced
+    async uploadCapture(canvas, faceBox) {
+        if (!this.syncEnabled || !EmotionApiClient.storedToken()) return;
+
+        try {
+            const sessionId = await this.outbox.resolveSessionId(this.clientSessionId);
+            if (!sessionId) {
+                console.warn('Capture kept locally only, the session has not reached the server yet');
+                return;
+            }
+
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+            await this.api.uploadImage(blob, sessionId, `capture-${Date.now()}.jpg`, faceBox);
+        } catch (error) {
+            console.warn('Failed to upload capture:', error.message);
+        }
+    }
+
     showCaptureAnimation() {
         const flash = document.createElement('div');
         flash.style.cssText = `
@@ -375,11 +1021,7 @@ class EmotionApp {
     toggleTheme() {
         const currentTheme = document.documentElement.getAttribute('data-theme');
         const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-        document.documentElement.setAttribute('data-theme', newTheme);
-        localStorage.setItem('theme', newTheme);
-        
-        const icon = this.elements.themeToggle.querySelector('i');
-        icon.className = newTheme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
+        this.updateSetting('theme', newTheme);
     }
 
     openSettings() {
@@ -391,9 +1033,66 @@ class EmotionApp {
     }
 
     updateSensitivity(e) {
-        const value = e.target.value;
-        this.elements.sensitivityValue.textContent = `${Math.round(value * 100)}%`;
-        localStorage.setItem('sensitivity', value);
+        this.updateSetting('sensitivity', parseFloat(e.target.value));
+    }
+
+    // Apply a setting locally right away, then save it to the server
+    updateSetting(key, value) {
+        this.settings[key] = value;
+        localStorage.setItem(key, String(value));
+        this.applySettings();
+
+        this.pendingSettings[key] = value;
+        clearTimeout(this.settingsSaveTimer);
+        this.settingsSaveTimer = setTimeout(() => this.saveSettings(), 500);
+    }
+
+    async saveSettings() {
+        if (!EmotionApiClient.storedToken()) return;
+
+        const changes = this.pendingSettings;
+        this.pendingSettings = {};
+
+        try {
+            await this.api.updateSettings(changes);
+        } catch (error) {
+            console.warn('Failed to save settings:', error.message);
+            // Keep unsaved changes for the next attempt unless newer ones replaced them
+            this.pendingSettings = { ...changes, ...this.pendingSettings };
+        }
+    }
+
+    // Server settings win so preferences follow the user across devices
+    async syncSettingsFromServer() {
+        if (!EmotionApiClient.storedToken()) return;
+
+        try {
+            const settings = await this.api.getSettings();
+            Object.entries(settings).forEach(([key, value]) => {
+                if (!(key in this.pendingSettings)) {
+                    this.settings[key] = value;
+                    localStorage.setItem(key, String(value));
+                }
+            });
+            this.applySettings();
+        } catch (error) {
+            console.warn('Failed to load settings from server:', error.message);
+        }
+    }
+
+    applySettings() {
+        const { theme, sensitivity, autoSave, showAgeGender } = this.settings;
+
+        this.analyzer.configure({ minConfidence: sensitivity });
+
+        document.documentElement.setAttribute('data-theme', theme);
+        const icon = this.elements.themeToggle.querySelector('i');
+        icon.className = theme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
+
+        this.elements.sensitivitySlider.value = sensitivity;
+        this.elements.sensitivityValue.textContent = `${Math.round(sensitivity * 100)}%`;
+        this.elements.autoSaveToggle.checked = autoSave;
+        this.elements.showAgeGenderToggle.checked = showAgeGender;
     }
 
     handleFileUpload(e) {
@@ -427,20 +1126,22 @@ class EmotionApp {
             // Process image for emotion detection
             const img = new Image();
             img.onload = async () => {
-                const detections = await faceapi
-                    .detectAllFaces(img, new faceapi.TinyFaceDetectorOptions())
-                    .withFaceLandmarks()
-                    .withFaceExpressions()
-                    .withAgeAndGender();
+                if (!this.modelsLoaded) {
+                    await this.loadModels();
+                }
+
+                const { faces: found, imageDims } = await this.inference.detect(img, {
+                    scoreThreshold: this.detectorThreshold()
+                });
+                const detections = found.map(face => FaceInference.toFaceApiResult(face, imageDims));
                 
                 if (detections.length > 0) {
-                    const detection = detections[0];
-                    const expressions = detection.expressions;
-                    const maxEmotion = Object.entries(expressions).reduce((max, curr) => 
-                        curr[1] > max[1] ? curr : max
-                    );
-                    
-                    this.displayUploadResults(maxEmotion, detection);
+                    // A still image has no history to track, so faces are numbered left to right
+                    const faces = [...detections]
+                        .sort((a, b) => a.detection.box.x - b.detection.box.x)
+                        .map(detection => ({ detection, emotion: this.getTopExpression(detection.expressions) }));
+
+                    this.displayUploadResults(faces);
                 }
             };
             img.src = e.target.result;
@@ -448,50 +1149,63 @@ class EmotionApp {
         reader.readAsDataURL(file);
     }
 
-    displayUploadResults(emotion, detection) {
-        const [emotionName, confidence] = emotion;
-        const percentage = Math.round(confidence * 100);
-        
-        this.elements.uploadResults.innerHTML = `
-            <div class="upload-result-card">
-                <h4>Detected Emotion</h4>
-                <p class="emotion-result">${emotionName.charAt(0).toUpperCase() + emotionName.slice(1)}</p>
-                <p class="confidence-result">${percentage}% confidence</p>
-                ${detection.age ? `<p class="age-result">Age: ${Math.round(detection.age)}</p>` : ''}
-                ${detection.gender ? `<p class="gender-result">Gender: ${detection.gender}</p>` : ''}
-            </div>
-        `;
+    displayUploadResults(faces) {
+        this.elements.uploadResults.innerHTML = faces.map(({ detection, emotion }, index) => {
+            const [emotionName, confidence] = emotion;
+            const percentage = Math.round(confidence * 100);
+            const title = faces.length > 1 ? `Person ${index + 1}` : 'Detected Emotion';
+
+            return `
+                <div class="upload-result-card">
+                    <h4>${title}</h4>
+                    <p class="emotion-result">${emotionName.charAt(0).toUpperCase() + emotionName.slice(1)}</p>
+                    <p class="confidence-result">${percentage}% confidence</p>
+                    ${this.settings.showAgeGender && detection.age ? `<p class="age-result">Age: ${Math.round(detection.age)}</p>` : ''}
+                    ${this.settings.showAgeGender && detection.gender ? `<p class="gender-result">Gender: ${detection.gender}</p>` : ''}
+                </div>
+            `;
+        }).join('');
     }
 
     loadSettings() {
-        const savedTheme = localStorage.getItem('theme') || 'light';
-        document.documentElement.setAttribute('data-theme', savedTheme);
-        
-        const icon = this.elements.themeToggle.querySelector('i');
-        icon.className = savedTheme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
-        
-        const sensitivity = localStorage.getItem('sensitivity') || '0.75';
-        this.elements.sensitivitySlider.value = sensitivity;
-        this.elements.sensitivityValue.textContent = `${Math.round(sensitivity * 100)}%`;
+        // Local copies first so the page renders right away, even offline
+        const savedTheme = localStorage.getItem('theme');
+        const savedSensitivity = localStorage.getItem('sensitivity');
+        const savedAutoSave = localStorage.getItem('autoSave');
+        const savedShowAgeGender = localStorage.getItem('showAgeGender');
+
+        if (savedTheme) this.settings.theme = savedTheme;
+        if (savedSensitivity) this.settings.sensitivity = parseFloat(savedSensitivity);
+        if (savedAutoSave) this.settings.autoSave = savedAutoSave === 'true';
+        if (savedShowAgeGender) this.settings.showAgeGender = savedShowAgeGender === 'true';
+
+        this.applySettings();
+        this.syncSettingsFromServer();
         
         // Load emotion history
         this.emotionHistory = JSON.parse(localStorage.getItem('emotionHistory') || '[]');
     }
 
     showError(message) {
+        this.showNotice(message, '#ef4444', 'error-message');
+    }
+
+    showNotice(message, background, className = 'notice-message') {
         const errorDiv = document.createElement('div');
-        errorDiv.className = 'error-message';
+        errorDiv.className = className;
         errorDiv.textContent = message;
         errorDiv.style.cssText = `
             position: fixed;
             top: 100px;
             right: 20px;
-            background: #ef4444;
+            background: ${background};
             color: white;
             padding: 1rem;
             border-radius: 0.5rem;
             box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
             z-index: 10000;
+            max-width: 420px;
+            white-space: pre-line;
         `;
         
         document.body.appendChild(errorDiv);
@@ -0,0 +1,80 @@
+// Checks self-hosted files against the SHA-256 hashes in assets-manifest.json,
+// which scripts/build-assets.js writes. Reports every failing file, not just the first.
+class AssetIntegrityError extends Error {
+    constructor(message, failures = []) {
+        super(message);
+        this.name = 'AssetIntegrityError';
+        this.failures = failures; // [{ path, reason }]
+    }
+}
+
+class AssetIntegrity {
+    constructor(manifestUrl = 'assets-manifest.json') {
+        this.manifestUrl = manifestUrl;
+        this.manifest = null;
+    }
+
+    async loadManifest() {
+        if (this.manifest) return this.manifest;
+
+        let response;
+        try {
+            response = await fetch(this.manifestUrl, { cache: 'no-cache' });
+        } catch (error) {
+            throw new AssetIntegrityError('Could not fetch the asset manifest', [
+                { path: this.manifestUrl, reason: error.message }
+            ]);
+        }
+
+        if (!response.ok) {
+            throw new AssetIntegrityError('Asset manifest not found, run npm run build:assets', [
+                { path: this.manifestUrl, reason: `HTTP ${response.status}` }
+            ]);
+        }
+
+        this.manifest = await response.json();
+        return this.manifest;
+    }
+
+    static async hash(buffer) {
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', buffer));
+        return `sha256-${btoa(String.fromCharCode(...digest))}`;
+    }
+
+    // Returns null when the file matches, otherwise { path, reason }
+    async checkFile(path, expected) {
+        try {
+            const response = await fetch(path);
+            if (!response.ok) {
+                return { path, reason: response.status === 404 ? 'missing (HTTP 404)' : `HTTP ${response.status}` };
+            }
+
+            const actual = await AssetIntegrity.hash(await response.arrayBuffer());
+            return actual === expected ? null : { path, reason: `hash mismatch (expected ${expected}, got ${actual})` };
+        } catch (error) {
+            return { path, reason: error.message };
+        }
+    }
+
+    // Verifies every manifest entry whose path starts with prefix
+    async verify(prefix = '') {
+        if (!self.crypto || !crypto.subtle) {
+            throw new AssetIntegrityError('Integrity checks need a secure context (HTTPS or localhost)');
+        }
+
+        const manifest = await this.loadManifest();
+        const entries = Object.entries(manifest.files).filter(([path]) => path.startsWith(prefix));
+
+        if (entries.length === 0) {
+            throw new AssetIntegrityError(`No files under ${prefix} in the asset manifest`);
+        }
+
+        const results = await Promise.all(entries.map(([path, expected]) => this.checkFile(path, expected)));
+        const failures = results.filter(Boolean);
+
+        if (failures.length > 0) {
+            throw new AssetIntegrityError(`${failures.length} of ${entries.length} files failed verification`, failures);
+        }
+        return entries.length;
+    }
+}
@@ -5,6 +5,7 @@ class EmotionEngine {
         this.emotionPatterns = new Map();
         this.moodTracker = new MoodTracker();
         this.realTimeAnalyzer = new RealTimeAnalyzer();
+        this.sessionMetrics = new SessionMetrics();
     }
 
     // Enhanced emotion analysis with context
@@ -86,7 +87,11 @@ class EmotionEngine {
         return secondaryMap[primaryEmotion] || [];
     }
 
+    // A sustained mood outweighs a single emotion, so its advice comes first
     getRecommendations(emotion) {
+        const sustained = this.moodTracker.getSustainedMood();
+        const moodAdvice = sustained ? this.moodTracker.getRecommendations(sustained.mood) : [];
+
         const recommendations = {
             happy: ['Share your joy', 'Practice gratitude', 'Connect with others'],
             sad: ['Talk to someone', 'Practice self-care', 'Engage in uplifting activities'],
@@ -95,7 +100,7 @@ class EmotionEngine {
             fearful: ['Identify the threat', 'Practice grounding techniques', 'Seek support'],
             disgusted: ['Remove yourself from situation', 'Practice acceptance', 'Focus on positive aspects']
         };
-        return recommendations[emotion] || ['Stay mindful'];
+        return [...moodAdvice, ...(recommendations[emotion] || ['Stay mindful'])];
     }
 
     updatePatterns(analysis) {
@@ -107,17 +112,480 @@ class EmotionEngine {
     }
 }
 
-// Define missing classes
-class MoodTracker {
-    constructor() {
+// Position of each emotion on the valence (unpleasant/pleasant) and
+// arousal (calm/activated) axes, both from -1 to 1
+const EMOTION_AFFECT = {
+    happy: { valence: 0.8, arousal: 0.5 },
+    surprised: { valence: 0.2, arousal: 0.8 },
+    neutral: { valence: 0, arousal: 0 },
+    sad: { valence: -0.7, arousal: -0.4 },
+    angry: { valence: -0.6, arousal: 0.8 },
+    fearful: { valence: -0.7, arousal: 0.7 },
+    disgusted: { valence: -0.6, arousal: 0.3 }
+};
+
+// Turns the smoothed expression stream into a rolling mood over minutes.
+// Emits 'moodchange' when the mood changes and 'sustainedmood' once a mood
+// has lasted past its threshold, e.g. stressed for 10+ minutes.
+class MoodTracker extends EventTarget {
+    constructor(options = {}) {
+        super();
+        this.windowMs = options.windowMs ?? 5 * 60 * 1000;
+        this.sampleIntervalMs = options.sampleIntervalMs ?? 1000;
+        this.sustainedMs = {
+            stressed: 10 * 60 * 1000,
+            down: 10 * 60 * 1000,
+            excited: 15 * 60 * 1000,
+            content: 15 * 60 * 1000,
+            neutral: 30 * 60 * 1000,
+            ...options.sustainedMs
+        };
+        this.maxHistory = options.maxHistory ?? 500;
+        this.storageKey = options.storageKey ?? 'moodHistory';
+        this.storage = options.storage ?? (typeof localStorage !== 'undefined' ? localStorage : null);
+
         this.currentMood = 'neutral';
+        this.samples = [];
+        this.bucket = null;
+        this.period = null;
+        this.moodHistory = this.loadHistory();
+    }
+
+    // Feed one smoothed expression vector; frames are averaged into one sample per interval
+    addSample(expressions, timestamp = Date.now()) {
+        const { valence, arousal } = MoodTracker.toAffect(expressions);
+
+        if (!this.bucket) {
+            this.bucket = { start: timestamp, valence: 0, arousal: 0, count: 0 };
+        }
+        this.bucket.valence += valence;
+        this.bucket.arousal += arousal;
+        this.bucket.count++;
+
+        if (timestamp - this.bucket.start < this.sampleIntervalMs) return;
+
+        this.samples.push({
+            timestamp,
+            valence: this.bucket.valence / this.bucket.count,
+            arousal: this.bucket.arousal / this.bucket.count
+        });
+        this.bucket = null;
+
+        while (this.samples.length && timestamp - this.samples[0].timestamp > this.windowMs) {
+            this.samples.shift();
+        }
+
+        this.updateMood(timestamp);
+    }
+
+    static toAffect(expressions) {
+        let valence = 0;
+        let arousal = 0;
+        let total = 0;
+
+        Object.entries(expressions).forEach(([emotion, probability]) => {
+            const affect = EMOTION_AFFECT[emotion];
+            if (!affect) return;
+            valence += affect.valence * probability;
+            arousal += affect.arousal * probability;
+            total += probability;
+        });
+
+        return total > 0
+            ? { valence: valence / total, arousal: arousal / total }
+            : { valence: 0, arousal: 0 };
+    }
+
+    static classify(valence, arousal) {
+        if (Math.abs(valence) < 0.15 && Math.abs(arousal) < 0.15) return 'neutral';
+        if (valence >= 0) return arousal >= 0 ? 'excited' : 'content';
+        return arousal >= 0 ? 'stressed' : 'down';
+    }
+
+    getRollingAffect() {
+        if (this.samples.length === 0) {
+            return { valence: 0, arousal: 0 };
+        }
+
+        const totals = this.samples.reduce((sum, sample) => ({
+            valence: sum.valence + sample.valence,
+            arousal: sum.arousal + sample.arousal
+        }), { valence: 0, arousal: 0 });
+
+        return {
+            valence: totals.valence / this.samples.length,
+            arousal: totals.arousal / this.samples.length
+        };
+    }
+
+    updateMood(timestamp) {
+        const { valence, arousal } = this.getRollingAffect();
+        const mood = MoodTracker.classify(valence, arousal);
+
+        if (!this.period || this.period.mood !== mood) {
+            const previous = this.period;
+            if (previous) {
+                this.recordPeriod(previous, timestamp);
+            }
+
+            this.period = { mood, start: timestamp, end: timestamp, sustained: false };
+            this.currentMood = mood;
+            this.dispatchEvent(new CustomEvent('moodchange', {
+                detail: { previous: previous ? previous.mood : null, mood, valence, arousal, timestamp }
+            }));
+        }
+
+        this.period.end = timestamp;
+        this.period.valence = valence;
+        this.period.arousal = arousal;
+
+        const duration = timestamp - this.period.start;
+        if (!this.period.sustained && duration >= this.sustainedMs[mood]) {
+            this.period.sustained = true;
+            this.dispatchEvent(new CustomEvent('sustainedmood', {
+                detail: { mood, duration, since: this.period.start, valence, arousal }
+            }));
+        }
+    }
+
+    recordPeriod(period, end) {
+        this.moodHistory.push({
+            mood: period.mood,
+            start: period.start,
+            end,
+            duration: end - period.start,
+            valence: period.valence,
+            arousal: period.arousal,
+            sustained: period.sustained
+        });
+
+        if (this.moodHistory.length > this.maxHistory) {
+            this.moodHistory.splice(0, this.moodHistory.length - this.maxHistory);
+        }
+        this.saveHistory();
+    }
+
+    getCurrentMood() {
+        const { valence, arousal } = this.getRollingAffect();
+        return {
+            mood: this.currentMood,
+            valence,
+            arousal,
+            since: this.period ? this.period.start : null,
+            duration: this.period ? this.period.end - this.period.start : 0
+        };
+    }
+
+    // The current mood if it has lasted past its threshold, otherwise null
+    getSustainedMood() {
+        if (!this.period || !this.period.sustained) return null;
+        return { mood: this.period.mood, since: this.period.start, duration: this.period.end - this.period.start };
+    }
+
+    getHistory({ since = 0 } = {}) {
+        return this.moodHistory.filter(period => period.end >= since);
+    }
+
+    // Share of time spent in each mood over the recorded history
+    getSummary({ since = 0 } = {}) {
+        const periods = this.getHistory({ since });
+        if (this.period && this.period.end >= since) {
+            periods.push({ mood: this.period.mood, duration: this.period.end - this.period.start });
+        }
+
+        const total = periods.reduce((sum, period) => sum + period.duration, 0);
+        const summary = {};
+        periods.forEach(({ mood, duration }) => {
+            summary[mood] = (summary[mood] || 0) + duration;
+        });
+        Object.keys(summary).forEach(mood => {
+            summary[mood] = total > 0 ? summary[mood] / total : 0;
+        });
+        return summary;
+    }
+
+    getRecommendations(mood) {
+        const recommendations = {
+            stressed: ['Take a five-minute break away from the screen', 'Try a few rounds of slow breathing'],
+            down: ['Reach out to someone you trust', 'Get some daylight or a short walk'],
+            excited: ['Channel the energy into your next task'],
+            content: ['Keep doing what is working'],
+            neutral: []
+        };
+        return recommendations[mood] || [];
+    }
+
+    // Close the open period, e.g. when detection stops
+    flush(timestamp = Date.now()) {
+        if (this.period) {
+            this.recordPeriod(this.period, timestamp);
+        }
+        this.period = null;
+        this.samples = [];
+        this.bucket = null;
+        this.currentMood = 'neutral';
+    }
+
+    clearHistory() {
         this.moodHistory = [];
+        this.saveHistory();
+    }
+
+    loadHistory() {
+        if (!this.storage) return [];
+
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+        } catch (error) {
+            console.warn('Ignoring unreadable mood history:', error.message);
+            return [];
+        }
+    }
+
+    saveHistory() {
+        if (this.storage) {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.moodHistory));
+        }
     }
 }
 
-class RealTimeAnalyzer {
-    constructor() {
+// Smooths per-frame expression vectors and only changes the reported emotion
+// when the new one clearly wins. Emits 'emotionchange' with the previous and
+// next state and how long the previous state lasted.
+class RealTimeAnalyzer extends EventTarget {
+    constructor(options = {}) {
+        super();
         this.isActive = false;
         this.frameRate = 30;
+        this.method = 'ema'; // 'ema' or 'window'
+        this.alpha = 0.3; // EMA weight of the newest frame
+        this.windowSize = 10; // frames averaged by the sliding window
+        this.switchMargin = 0.1; // how far a new emotion must lead the current one
+        this.minDwellMs = 300; // shortest time a state is held before it can change
+        this.minConfidence = 0; // below this the state is 'uncertain'
+        this.tracks = new Map();
+        this.configure(options);
+    }
+
+    configure(options = {}) {
+        const keys = ['frameRate', 'method', 'alpha', 'windowSize', 'switchMargin', 'minDwellMs', 'minConfidence'];
+        keys.forEach(key => {
+            if (options[key] !== undefined) {
+                this[key] = options[key];
+            }
+        });
+    }
+
+    start() {
+        this.isActive = true;
+    }
+
+    stop() {
+        this.isActive = false;
+        this.tracks.clear();
+    }
+
+    // Drop state for faces that are no longer tracked
+    prune(activeTrackIds) {
+        const active = new Set(activeTrackIds);
+        for (const trackId of this.tracks.keys()) {
+            if (!active.has(trackId)) {
+                this.tracks.delete(trackId);
+            }
+        }
     }
-}
\ No newline at end of file
+
+    getState(trackId = 0) {
+        const track = this.tracks.get(trackId);
+        return track ? track.state : null;
+    }
+
+    // Feed one frame for one face. Anything in context is passed through on the event.
+    process(expressions, { trackId = 0, timestamp = Date.now(), context = {} } = {}) {
+        let track = this.tracks.get(trackId);
+        if (!track) {
+            track = { smoothed: null, window: [], state: null };
+            this.tracks.set(trackId, track);
+        }
+
+        const smoothed = this.smooth(track, expressions);
+        const next = this.selectState(track.state, smoothed, timestamp);
+
+        if (!next) {
+            const emotion = track.state.emotion === 'uncertain' ? track.state.guess : track.state.emotion;
+            track.state = { ...track.state, confidence: smoothed[emotion], expressions: smoothed };
+            return track.state;
+        }
+
+        const previous = track.state;
+        track.state = next;
+
+        this.dispatchEvent(new CustomEvent('emotionchange', {
+            detail: {
+                ...context,
+                trackId,
+                previous,
+                next,
+                dwellTime: previous ? timestamp - previous.since : 0,
+                timestamp
+            }
+        }));
+
+        return next;
+    }
+
+    smooth(track, expressions) {
+        if (this.method === 'window') {
+            track.window.push(expressions);
+            if (track.window.length > this.windowSize) {
+                track.window.shift();
+            }
+
+            const averaged = {};
+            Object.keys(expressions).forEach(emotion => {
+                const total = track.window.reduce((sum, frame) => sum + (frame[emotion] || 0), 0);
+                averaged[emotion] = total / track.window.length;
+            });
+            track.smoothed = averaged;
+        } else {
+            const previous = track.smoothed;
+            const blended = {};
+            Object.keys(expressions).forEach(emotion => {
+                blended[emotion] = previous
+                    ? this.alpha * expressions[emotion] + (1 - this.alpha) * (previous[emotion] || 0)
+                    : expressions[emotion];
+            });
+            track.smoothed = blended;
+        }
+
+        return track.smoothed;
+    }
+
+    // Returns the new state, or null when the current one should be kept
+    selectState(current, smoothed, timestamp) {
+        const [leader, score] = Object.entries(smoothed).reduce((max, curr) =>
+            curr[1] > max[1] ? curr : max
+        );
+
+        const confident = score >= this.minConfidence;
+        const next = confident
+            ? { emotion: leader, confidence: score, expressions: smoothed, since: timestamp }
+            : { emotion: 'uncertain', guess: leader, confidence: score, expressions: smoothed, since: timestamp };
+
+        if (!current) return next;
+        if (timestamp - current.since < this.minDwellMs) return null;
+
+        if (current.emotion === 'uncertain') {
+            return confident ? next : null;
+        }
+
+        // Hysteresis: leave a confident state only once it is clearly below the threshold
+        // or another emotion leads it by the switch margin
+        const currentScore = smoothed[current.emotion] || 0;
+        if (currentScore < this.minConfidence - this.switchMargin) {
+            return next;
+        }
+        if (leader !== current.emotion && score - currentScore >= this.switchMargin && confident) {
+            return next;
+        }
+        return null;
+    }
+}
+
+// Quality and emotion statistics for one detection session, sent when it ends
+class SessionMetrics {
+    constructor() {
+        this.reset();
+    }
+
+    static round(value, digits) {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
+
+    reset() {
+        this.frameCount = 0;
+        this.framesWithFace = 0;
+        this.detectionScoreSum = 0;
+        this.detectionCount = 0;
+        this.processingMsSum = 0;
+        this.emotionCounts = {};
+        this.emotionConfidenceSums = {};
+        this.emotionSamples = 0;
+        this.expressionSums = {};
+        this.expressionSamples = 0;
+    }
+
+    // One analyzed frame: the detector score of every face found and the time it took
+    recordFrame(detectionScores, processingMs) {
+        this.frameCount++;
+        this.processingMsSum += processingMs;
+
+        if (detectionScores.length > 0) {
+            this.framesWithFace++;
+            detectionScores.forEach(score => {
+                this.detectionScoreSum += score;
+                this.detectionCount++;
+            });
+        }
+    }
+
+    // One smoothed state of the main face; uncertain stretches are left out of the distribution
+    recordEmotion(emotion, confidence) {
+        if (emotion === 'uncertain') return;
+
+        this.emotionCounts[emotion] = (this.emotionCounts[emotion] || 0) + 1;
+        this.emotionConfidenceSums[emotion] = (this.emotionConfidenceSums[emotion] || 0) + confidence;
+        this.emotionSamples++;
+    }
+
+    // Raw expression probabilities of the main face, averaged into one vector
+    recordExpressions(expressions) {
+        Object.entries(expressions).forEach(([emotion, probability]) => {
+            this.expressionSums[emotion] = (this.expressionSums[emotion] || 0) + probability;
+        });
+        this.expressionSamples++;
+    }
+
+    getMeanExpressions() {
+        if (this.expressionSamples === 0) return null;
+
+        const means = {};
+        Object.entries(this.expressionSums).forEach(([emotion, sum]) => {
+            means[emotion] = SessionMetrics.round(sum / this.expressionSamples, 4);
+        });
+        return means;
+    }
+
+    getMeanDetectionScore() {
+        return this.detectionCount > 0 ? SessionMetrics.round(this.detectionScoreSum / this.detectionCount, 3) : null;
+    }
+
+    getDominantEmotion() {
+        const entries = Object.entries(this.emotionCounts);
+        if (entries.length === 0) return null;
+
+        const [emotion, count] = entries.reduce((max, curr) => curr[1] > max[1] ? curr : max);
+        return {
+            emotion,
+            share: SessionMetrics.round(count / this.emotionSamples, 3),
+            confidence: SessionMetrics.round(this.emotionConfidenceSums[emotion] / count, 3)
+        };
+    }
+
+    // Shape accepted by PUT /api/sessions/:id/end as `metrics`
+    getSummary() {
+        const emotionDistribution = {};
+        Object.entries(this.emotionCounts).forEach(([emotion, count]) => {
+            emotionDistribution[emotion] = SessionMetrics.round(count / this.emotionSamples, 3);
+        });
+
+        return {
+            frameCount: this.frameCount,
+            meanDetectionScore: this.getMeanDetectionScore(),
+            facePresentRatio: this.frameCount > 0 ? SessionMetrics.round(this.framesWithFace / this.frameCount, 3) : null,
+            avgProcessingMs: this.frameCount > 0 ? SessionMetrics.round(this.processingMsSum / this.frameCount, 1) : null,
+            emotionDistribution
+        };
+    }
+}
@@ -0,0 +1,216 @@
+// Stacked-area chart of the seven expression probabilities over time, with a marker
+// wherever the smoothed dominant emotion changes. Shows either a scrolling live window
+// or a whole past session; live samples keep buffering while a session is shown.
+const TIMELINE_EMOTIONS = {
+    neutral: '#6b7280',
+    happy: '#10b981',
+    sad: '#3b82f6',
+    angry: '#ef4444',
+    fearful: '#8b5cf6',
+    disgusted: '#84cc16',
+    surprised: '#f59e0b'
+};
+
+class EmotionTimeline {
+    constructor(canvas, options = {}) {
+        this.windowMs = options.windowMs || 60 * 1000;
+        this.updateIntervalMs = options.updateIntervalMs || 250;
+
+        this.mode = 'live';
+        this.live = EmotionTimeline.emptySeries();
+        this.lastUpdateAt = 0;
+        this.updateTimer = null;
+
+        this.chart = new Chart(canvas, {
+            type: 'line',
+            data: { datasets: this.createDatasets() },
+            options: {
+                animation: false,
+                maintainAspectRatio: false,
+                parsing: false,
+                normalized: true,
+                interaction: { mode: 'nearest', axis: 'x', intersect: false },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        ticks: {
+                            maxTicksLimit: 8,
+                            callback: (value) => new Date(value).toLocaleTimeString()
+                        }
+                    },
+                    y: {
+                        stacked: true,
+                        min: 0,
+                        max: 1,
+                        ticks: { callback: (value) => `${Math.round(value * 100)}%` }
+                    }
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            title: (items) => new Date(items[0].parsed.x).toLocaleTimeString(),
+                            label: (item) => (item.raw.emotion
+                                ? `Changed to ${item.raw.emotion}`
+                                : `${item.dataset.label}: ${Math.round(item.raw.y * 100)}%`)
+                        }
+                    }
+                }
+            }
+        });
+        this.render();
+    }
+
+    static emptySeries() {
+        return {
+            expressions: Object.fromEntries(Object.keys(TIMELINE_EMOTIONS).map(emotion => [emotion, []])),
+            changes: []
+        };
+    }
+
+    createDatasets() {
+        const areas = Object.entries(TIMELINE_EMOTIONS).map(([emotion, color], index) => ({
+            label: emotion.charAt(0).toUpperCase() + emotion.slice(1),
+            data: [],
+            borderColor: color,
+            backgroundColor: `${color}99`,
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: index === 0 ? 'origin' : '-1'
+        }));
+
+        // Markers sit on the top edge and are not part of the probability stack
+        const changes = {
+            label: 'Emotion change',
+            data: [],
+            stack: 'changes',
+            showLine: false,
+            fill: false,
+            clip: false,
+            pointRadius: 6,
+            pointHoverRadius: 8,
+            pointStyle: 'triangle',
+            rotation: 180,
+            borderColor: '#1e293b',
+            backgroundColor: (context) => (context.raw ? TIMELINE_EMOTIONS[context.raw.emotion] || '#6b7280' : '#6b7280')
+        };
+
+        return [...areas, changes];
+    }
+
+    // One sample of raw face-api expression probabilities
+    addSample(expressions, timestamp = Date.now()) {
+        EmotionTimeline.appendSample(this.live, expressions, timestamp);
+        this.trimLive(timestamp);
+        this.scheduleRender();
+    }
+
+    markChange(emotion, timestamp = Date.now()) {
+        this.live.changes.push({ x: timestamp, y: 1, emotion });
+        this.scheduleRender();
+    }
+
+    static appendSample(series, expressions, timestamp) {
+        Object.keys(TIMELINE_EMOTIONS).forEach(emotion => {
+            series.expressions[emotion].push({ x: timestamp, y: expressions[emotion] || 0 });
+        });
+    }
+
+    trimLive(now) {
+        const cutoff = now - this.windowMs;
+        const trim = (points) => {
+            const firstKept = points.findIndex(point => point.x >= cutoff);
+            points.splice(0, firstKept === -1 ? points.length : firstKept);
+        };
+
+        Object.values(this.live.expressions).forEach(trim);
+        trim(this.live.changes);
+    }
+
+    clearLive() {
+        this.live = EmotionTimeline.emptySeries();
+        this.render();
+    }
+
+    showLive() {
+        this.mode = 'live';
+        this.render();
+    }
+
+    // Stored rows only exist where the smoothed emotion changed
+    static fromEmotionRow(row) {
+        let rawData = {};
+        try {
+            rawData = JSON.parse(row.raw_data) || {};
+        } catch (error) {
+            // Rows without raw data still get a change marker
+        }
+
+        return {
+            timestamp: rawData.capturedAt
+                ? Date.parse(rawData.capturedAt)
+                : EmotionTimeline.parseServerTime(row.timestamp).getTime(),
+            emotion: row.emotion_type,
+            expressions: rawData.expressions || null
+        };
+    }
+
+    // SQLite CURRENT_TIMESTAMP values are UTC without a zone suffix
+    static parseServerTime(value) {
+        return new Date(/[zZ]|[+-]\d\d:\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+    }
+
+    // Records are { timestamp, emotion, expressions } in any order; expressions may be missing
+    showHistory(records) {
+        const series = EmotionTimeline.emptySeries();
+        const sorted = [...records].sort((a, b) => a.timestamp - b.timestamp);
+
+        sorted.forEach(record => {
+            if (record.expressions) {
+                EmotionTimeline.appendSample(series, record.expressions, record.timestamp);
+            }
+            series.changes.push({ x: record.timestamp, y: 1, emotion: record.emotion });
+        });
+
+        this.mode = 'history';
+        this.history = series;
+        this.render();
+        return sorted.length;
+    }
+
+    // Live samples arrive at up to the detection rate; redraw a few times a second at most
+    scheduleRender() {
+        if (this.mode !== 'live' || this.updateTimer) return;
+
+        const wait = Math.max(0, this.lastUpdateAt + this.updateIntervalMs - Date.now());
+        this.updateTimer = setTimeout(() => {
+            this.updateTimer = null;
+            this.render();
+        }, wait);
+    }
+
+    render() {
+        const series = this.mode === 'live' ? this.live : this.history;
+        const datasets = this.chart.data.datasets;
+        const emotions = Object.keys(TIMELINE_EMOTIONS);
+
+        emotions.forEach((emotion, index) => {
+            datasets[index].data = series.expressions[emotion];
+        });
+        datasets[emotions.length].data = series.changes;
+
+        const xScale = this.chart.options.scales.x;
+        if (this.mode === 'live') {
+            const now = Date.now();
+            xScale.min = now - this.windowMs;
+            xScale.max = now;
+        } else {
+            // Records are sorted, so the first and last change bound the session
+            const { changes } = series;
+            xScale.min = changes.length ? changes[0].x : undefined;
+            xScale.max = changes.length ? changes[changes.length - 1].x : undefined;
+        }
+
+        this.lastUpdateAt = Date.now();
+        this.chart.update('none');
+    }
+}
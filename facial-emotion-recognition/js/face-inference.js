@@ -0,0 +1,172 @@
+// face-api inference behind one interface, either in this thread or in js/inference-worker.js.
+// Results cross the worker boundary as plain objects and are turned back into
+// face-api results on the main thread, so both paths return the same shape.
+class FaceInference {
+    async load(modelUrl) {
+        await Promise.all([
+            faceapi.nets.tinyFaceDetector.loadFromUri(modelUrl),
+            faceapi.nets.faceLandmark68Net.loadFromUri(modelUrl),
+            faceapi.nets.faceExpressionNet.loadFromUri(modelUrl),
+            faceapi.nets.ageGenderNet.loadFromUri(modelUrl)
+        ]);
+    }
+
+    // Face detection and landmarks always run; the expression and age/gender models only when asked
+    async detect(input, { scoreThreshold = 0.5, expressions = true, ageGender = true } = {}) {
+        const timings = {};
+        let startedAt = performance.now();
+
+        const results = await faceapi
+            .detectAllFaces(input, new faceapi.TinyFaceDetectorOptions({ scoreThreshold }))
+            .withFaceLandmarks();
+        timings.detection = performance.now() - startedAt;
+
+        const faces = results.map(result => FaceInference.serialize(result));
+
+        if (results.length > 0 && (expressions || ageGender)) {
+            const faceImages = await faceapi.extractFaces(input, results.map(result => result.alignedRect));
+
+            if (expressions) {
+                startedAt = performance.now();
+                const predictions = await Promise.all(
+                    faceImages.map(faceImage => faceapi.nets.faceExpressionNet.predictExpressions(faceImage))
+                );
+                predictions.forEach((prediction, index) => {
+                    faces[index].expressions = { ...prediction };
+                });
+                timings.expressions = performance.now() - startedAt;
+            }
+
+            if (ageGender) {
+                startedAt = performance.now();
+                const predictions = await Promise.all(
+                    faceImages.map(faceImage => faceapi.nets.ageGenderNet.predictAgeAndGender(faceImage))
+                );
+                predictions.forEach(({ age, gender, genderProbability }, index) => {
+                    Object.assign(faces[index], { age, gender, genderProbability });
+                });
+                timings.ageGender = performance.now() - startedAt;
+            }
+        }
+
+        const { width, height } = faceapi.getMediaDimensions(input);
+        return { faces, timings, imageDims: { width, height } };
+    }
+
+    terminate() {}
+
+    static serialize(result) {
+        const { box, score } = result.detection;
+        const landmarks = result.unshiftedLandmarks;
+
+        return {
+            score,
+            box: { x: box.x, y: box.y, width: box.width, height: box.height },
+            landmarks: landmarks.positions.map(({ x, y }) => ({ x, y })),
+            landmarkDims: { width: landmarks.imageWidth, height: landmarks.imageHeight }
+        };
+    }
+
+    // Rebuild what detectAllFaces().withFaceLandmarks() would have returned, plus any predictions
+    static toFaceApiResult(face, imageDims) {
+        const { width, height } = imageDims;
+        const { box, landmarkDims } = face;
+
+        const detection = new faceapi.FaceDetection(
+            face.score,
+            new faceapi.Rect(box.x / width, box.y / height, box.width / width, box.height / height),
+            imageDims
+        );
+        const unshiftedLandmarks = new faceapi.FaceLandmarks68(
+            face.landmarks.map(({ x, y }) => new faceapi.Point(x / landmarkDims.width, y / landmarkDims.height)),
+            landmarkDims
+        );
+
+        const result = faceapi.extendWithFaceLandmarks(
+            faceapi.extendWithFaceDetection({}, detection),
+            unshiftedLandmarks
+        );
+
+        if (face.expressions) {
+            result.expressions = face.expressions;
+        }
+        if (face.age !== undefined) {
+            Object.assign(result, { age: face.age, gender: face.gender, genderProbability: face.genderProbability });
+        }
+        return result;
+    }
+}
+
+// Runs FaceInference in a dedicated worker. Frames are sent as transferable ImageBitmaps.
+class WorkerFaceInference {
+    constructor(workerUrl = 'js/inference-worker.js') {
+        this.worker = new Worker(workerUrl);
+        this.pending = new Map();
+        this.nextId = 1;
+        this.failure = null;
+
+        this.worker.onmessage = (event) => {
+            const { id, result, error, fatal } = event.data;
+            const request = this.pending.get(id);
+            if (!request) return;
+
+            this.pending.delete(id);
+            if (error) {
+                const failure = new Error(error);
+                failure.workerFailed = Boolean(fatal);
+                request.reject(failure);
+            } else {
+                request.resolve(result);
+            }
+        };
+
+        // A worker that fails to start or crashes can't be reused; callers fall back to FaceInference
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            const error = new Error(`Inference worker failed: ${event.message || 'unknown error'}`);
+            error.workerFailed = true;
+
+            this.failure = error;
+            this.pending.forEach(request => request.reject(error));
+            this.pending.clear();
+        };
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+
+    call(type, payload, transfer = []) {
+        if (this.failure) {
+            return Promise.reject(this.failure);
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, ...payload }, transfer);
+        });
+    }
+
+    // The worker loads face-api from the same place as the page
+    load(modelUrl) {
+        const faceApiScript = document.querySelector('script[src*="face-api"]');
+
+        return this.call('load', {
+            scriptUrl: new URL(faceApiScript.src, document.baseURI).href,
+            modelUrl: new URL(modelUrl, document.baseURI).href
+        });
+    }
+
+    async detect(input, options) {
+        const frame = await createImageBitmap(input);
+        return this.call('detect', { frame, options }, [frame]);
+    }
+
+    terminate() {
+        this.worker.terminate();
+        this.pending.clear();
+    }
+}
@@ -0,0 +1,120 @@
+// Multi-face tracker that keeps a stable id for each person across frames.
+// Faces are matched to existing tracks by bounding box overlap and landmark distance.
+class FaceTracker {
+    constructor(options = {}) {
+        this.minIoU = options.minIoU ?? 0.3;
+        this.maxLandmarkDistance = options.maxLandmarkDistance ?? 0.35;
+        this.maxMissedFrames = options.maxMissedFrames ?? 15;
+        this.tracks = new Map();
+        this.nextId = 1;
+    }
+
+    reset() {
+        this.tracks.clear();
+        this.nextId = 1;
+    }
+
+    // Returns [{ trackId, detection }] in the same order as the detections passed in
+    update(detections, timestamp = Date.now()) {
+        const candidates = [];
+
+        detections.forEach((detection, index) => {
+            for (const track of this.tracks.values()) {
+                const score = this.matchScore(track, detection);
+                if (score > 0) {
+                    candidates.push({ index, track, score });
+                }
+            }
+        });
+
+        // Greedy assignment, best matches first
+        candidates.sort((a, b) => b.score - a.score);
+
+        const assigned = new Array(detections.length).fill(null);
+        const claimed = new Set();
+
+        for (const { index, track } of candidates) {
+            if (assigned[index] || claimed.has(track.id)) continue;
+            assigned[index] = track;
+            claimed.add(track.id);
+        }
+
+        const results = detections.map((detection, index) => {
+            const track = assigned[index] || this.createTrack();
+            this.refreshTrack(track, detection, timestamp);
+            return { trackId: track.id, detection };
+        });
+
+        // Faces that left the frame keep their id for a few frames in case they come back
+        for (const track of this.tracks.values()) {
+            if (claimed.has(track.id) || track.lastSeen === timestamp) continue;
+
+            track.missedFrames++;
+            if (track.missedFrames > this.maxMissedFrames) {
+                this.tracks.delete(track.id);
+            }
+        }
+
+        return results;
+    }
+
+    createTrack() {
+        const track = { id: this.nextId++, box: null, landmarks: null, firstSeen: null, lastSeen: null, missedFrames: 0 };
+        this.tracks.set(track.id, track);
+        return track;
+    }
+
+    refreshTrack(track, detection, timestamp) {
+        track.box = FaceTracker.boxOf(detection);
+        track.landmarks = FaceTracker.landmarksOf(detection);
+        track.firstSeen = track.firstSeen ?? timestamp;
+        track.lastSeen = timestamp;
+        track.missedFrames = 0;
+    }
+
+    // 0 means "not the same face"; otherwise higher is a better match
+    matchScore(track, detection) {
+        const iou = FaceTracker.iou(track.box, FaceTracker.boxOf(detection));
+        const landmarks = FaceTracker.landmarksOf(detection);
+
+        let landmarkSimilarity = 0;
+        if (track.landmarks && landmarks) {
+            const distance = FaceTracker.landmarkDistance(track.landmarks, landmarks, track.box);
+            if (distance <= this.maxLandmarkDistance) {
+                landmarkSimilarity = 1 - distance / this.maxLandmarkDistance;
+            }
+        }
+
+        if (iou < this.minIoU && landmarkSimilarity === 0) return 0;
+        return iou + landmarkSimilarity;
+    }
+
+    static boxOf(detection) {
+        const { x, y, width, height } = detection.detection.box;
+        return { x, y, width, height };
+    }
+
+    static landmarksOf(detection) {
+        return detection.landmarks ? detection.landmarks.positions.map(({ x, y }) => ({ x, y })) : null;
+    }
+
+    static iou(a, b) {
+        const left = Math.max(a.x, b.x);
+        const top = Math.max(a.y, b.y);
+        const right = Math.min(a.x + a.width, b.x + b.width);
+        const bottom = Math.min(a.y + a.height, b.y + b.height);
+
+        const intersection = Math.max(0, right - left) * Math.max(0, bottom - top);
+        const union = a.width * a.height + b.width * b.height - intersection;
+        return union > 0 ? intersection / union : 0;
+    }
+
+    // Mean point distance, relative to the face size so it works at any distance from the camera
+    static landmarkDistance(a, b, box) {
+        if (a.length !== b.length || a.length === 0) return Infinity;
+
+        const diagonal = Math.hypot(box.width, box.height) || 1;
+        const total = a.reduce((sum, point, i) => sum + Math.hypot(point.x - b[i].x, point.y - b[i].y), 0);
+        return total / a.length / diagonal;
+    }
+}
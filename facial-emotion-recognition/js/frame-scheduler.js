@@ -0,0 +1,146 @@
+// Drives the detection loop at a target frame rate instead of every animation frame.
+// Expensive stages can run at their own lower rates, the loop pauses while the tab
+// is hidden, and measured FPS and per-stage timings are reported once a second.
+class FrameScheduler {
+    constructor(tick, options = {}) {
+        this.tick = tick;
+        this.getTargetFps = options.getTargetFps || (() => options.targetFps || 30);
+        this.stageRates = { ...options.stageRates }; // stage name -> runs per second
+        this.onStats = options.onStats || null;
+
+        this.running = false;
+        this.paused = false;
+        this.frameHandle = null;
+        this.lastTickAt = 0;
+        this.stageLastRun = new Map();
+        this.stageTimings = new Map();
+        this.fps = 0;
+        this.frameCount = 0;
+        this.skippedFrames = 0;
+        this.windowStart = 0;
+
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    }
+
+    start() {
+        if (this.running) return;
+
+        this.running = true;
+        this.paused = document.hidden;
+        this.resetCounters();
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        this.schedule();
+    }
+
+    stop() {
+        this.running = false;
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+        if (this.frameHandle) {
+            cancelAnimationFrame(this.frameHandle);
+            this.frameHandle = null;
+        }
+        this.stageLastRun.clear();
+    }
+
+    handleVisibilityChange() {
+        this.paused = document.hidden;
+
+        if (!this.paused) {
+            // Time spent hidden is not load, so don't count it as skipped frames
+            this.resetCounters();
+            this.schedule();
+        }
+    }
+
+    resetCounters() {
+        this.lastTickAt = 0;
+        this.frameCount = 0;
+        this.windowStart = 0;
+    }
+
+    schedule() {
+        if (!this.running || this.paused || this.frameHandle) return;
+        this.frameHandle = requestAnimationFrame(now => this.onFrame(now));
+    }
+
+    async onFrame(now) {
+        this.frameHandle = null;
+        if (!this.running || this.paused) return;
+
+        const interval = 1000 / this.getTargetFps();
+
+        // Ahead of the target rate: wait for a later frame
+        if (this.lastTickAt && now - this.lastTickAt < interval - 1) {
+            this.schedule();
+            return;
+        }
+
+        // A tick that overran its budget means the frames in between were dropped
+        if (this.lastTickAt) {
+            this.skippedFrames += Math.max(0, Math.floor((now - this.lastTickAt) / interval) - 1);
+        }
+        this.lastTickAt = now;
+
+        try {
+            await this.tick(now);
+        } catch (error) {
+            console.error('Detection frame failed:', error);
+        }
+
+        this.frameCount++;
+        this.reportStats(performance.now());
+        this.schedule();
+    }
+
+    // Whether a stage with its own rate should run on this tick
+    isDue(stage, now) {
+        const rate = this.stageRates[stage];
+        if (!rate) return true;
+
+        const lastRun = this.stageLastRun.get(stage);
+        return lastRun === undefined || now - lastRun >= 1000 / rate;
+    }
+
+    // Keeps a moving average of a stage's duration. Stages are timed where they
+    // run, which may be inside the inference worker.
+    recordTiming(stage, now, elapsed) {
+        const previous = this.stageTimings.get(stage);
+
+        this.stageTimings.set(stage, previous === undefined ? elapsed : previous * 0.8 + elapsed * 0.2);
+        this.stageLastRun.set(stage, now);
+    }
+
+    getStats() {
+        const stageTimings = {};
+        this.stageTimings.forEach((ms, stage) => {
+            stageTimings[stage] = Math.round(ms);
+        });
+
+        return {
+            fps: Math.round(this.fps * 10) / 10,
+            targetFps: this.getTargetFps(),
+            skippedFrames: this.skippedFrames,
+            stageTimings
+        };
+    }
+
+    reportStats(now) {
+        if (!this.windowStart) {
+            this.windowStart = now;
+            this.frameCount = 0;
+            return;
+        }
+
+        const elapsed = now - this.windowStart;
+        if (elapsed < 1000) return;
+
+        this.fps = this.frameCount * 1000 / elapsed;
+        this.frameCount = 0;
+        this.windowStart = now;
+
+        if (this.onStats) {
+            this.onStats(this.getStats());
+        }
+    }
+}
@@ -0,0 +1,309 @@
+// Session history page: search, pagination, rename/delete and a per-session detail
+// view with the recorded timeline
+const PAGE_SIZE = 10;
+const api = new EmotionApiClient();
+
+const state = {
+    userId: null,
+    page: 0,
+    search: '',
+    total: 0,
+    selectedId: null
+};
+
+let timeline = null;
+let searchTimer = null;
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatDuration(seconds) {
+    if (typeof seconds !== 'number') return '--';
+
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const rest = total % 60;
+    return hours > 0
+        ? `${hours}h ${String(minutes).padStart(2, '0')}m`
+        : `${String(minutes).padStart(2, '0')}:${String(rest).padStart(2, '0')}`;
+}
+
+function formatPercent(value) {
+    return typeof value === 'number' ? `${Math.round(value * 100)}%` : '--';
+}
+
+function formatTime(value) {
+    return value ? EmotionTimeline.parseServerTime(value).toLocaleString() : '--';
+}
+
+// Load the current page of sessions for the search term
+async function loadPage() {
+    const list = document.getElementById('sessionList');
+
+    try {
+        const { sessions, pagination } = await api.getUserSessions(state.userId, {
+            limit: PAGE_SIZE,
+            offset: state.page * PAGE_SIZE,
+            search: state.search
+        });
+        state.total = pagination.total;
+
+        // A delete can leave the last page empty
+        if (sessions.length === 0 && state.page > 0) {
+            state.page--;
+            return loadPage();
+        }
+
+        renderSessions(sessions);
+    } catch (error) {
+        console.error('Failed to load sessions:', error);
+        list.replaceChildren(listMessage('Could not load your sessions.'));
+    }
+    renderPagination();
+}
+
+function listMessage(text) {
+    const item = document.createElement('li');
+    item.className = 'muted';
+    item.textContent = text;
+    return item;
+}
+
+function renderSessions(sessions) {
+    const list = document.getElementById('sessionList');
+
+    if (sessions.length === 0) {
+        list.replaceChildren(listMessage(state.search ? 'No sessions match your search.' : 'No sessions recorded yet.'));
+        return;
+    }
+
+    list.replaceChildren(...sessions.map(session => {
+        const item = document.createElement('li');
+        const row = document.createElement('button');
+        row.className = session.id === state.selectedId ? 'session-row active' : 'session-row';
+        row.dataset.sessionId = session.id;
+
+        const name = document.createElement('strong');
+        name.textContent = session.session_name || `Session ${session.id}`;
+
+        const details = document.createElement('span');
+        details.textContent = `${formatTime(session.start_time)} · ${formatDuration(session.duration_seconds)} · ` +
+            `${session.total_detections || 0} detections`;
+
+        row.append(name, details);
+        row.addEventListener('click', () => showDetail(session.id));
+        item.appendChild(row);
+        return item;
+    }));
+}
+
+function renderPagination() {
+    const pages = Math.max(1, Math.ceil(state.total / PAGE_SIZE));
+
+    document.getElementById('pageInfo').textContent = `Page ${state.page + 1} of ${pages}`;
+    document.getElementById('prevPage').disabled = state.page === 0;
+    document.getElementById('nextPage').disabled = state.page + 1 >= pages;
+}
+
+async function showDetail(sessionId) {
+    state.selectedId = Number(sessionId);
+    document.querySelectorAll('.session-row').forEach(row => {
+        row.classList.toggle('active', Number(row.dataset.sessionId) === state.selectedId);
+    });
+
+    try {
+        const [session, summary, emotions, images] = await Promise.all([
+            api.getSession(sessionId),
+            api.getSessionSummary(sessionId),
+            api.getSessionEmotions(sessionId),
+            api.getSessionImages(sessionId)
+        ]);
+
+        document.getElementById('detailPlaceholder').hidden = true;
+        document.getElementById('sessionDetail').hidden = false;
+        window.history.replaceState(null, '', `?session=${session.id}`);
+
+        renderFacts(session);
+        renderSummary(summary);
+        renderFrames(images);
+
+        if (!timeline) {
+            timeline = new EmotionTimeline(document.getElementById('detailChart'));
+        }
+        timeline.showHistory(emotions.map(emotion => EmotionTimeline.fromEmotionRow(emotion)));
+    } catch (error) {
+        console.error('Failed to load session:', error);
+        showNotification(error.status === 404 ? 'That session no longer exists.' : 'Could not load the session.', true);
+    }
+}
+
+function renderFacts(session) {
+    document.getElementById('renameInput').value = session.session_name || '';
+    document.getElementById('resultLink').href = `result.html?session=${session.id}`;
+    document.getElementById('factStarted').textContent = formatTime(session.start_time);
+    document.getElementById('factDuration').textContent = formatDuration(session.duration_seconds);
+    document.getElementById('factDetections').textContent = session.total_detections || 0;
+    document.getElementById('factFaceScore').textContent = formatPercent(session.accuracy_score);
+    document.getElementById('factDevice').textContent = session.device_info || 'Unknown';
+}
+
+function renderSummary(summary) {
+    const container = document.getElementById('summaryDistribution');
+    const total = summary.reduce((sum, row) => sum + row.count, 0);
+
+    if (total === 0) {
+        container.replaceChildren(listMessage('No emotions were recorded in this session.'));
+        return;
+    }
+
+    container.replaceChildren(...summary.map(row => {
+        const line = document.createElement('div');
+        line.className = 'distribution-row';
+
+        const name = document.createElement('span');
+        name.textContent = capitalize(row.emotion_type);
+
+        const bar = document.createElement('div');
+        bar.className = 'distribution-bar';
+        bar.style.width = `${row.count / total * 100}%`;
+        bar.style.background = TIMELINE_EMOTIONS[row.emotion_type] || '#6b7280';
+
+        const value = document.createElement('span');
+        value.textContent = `${row.count} · avg ${formatPercent(row.avg_confidence)}`;
+
+        line.append(name, bar, value);
+        return line;
+    }));
+}
+
+function renderFrames(images) {
+    const grid = document.getElementById('framesGrid');
+
+    if (images.length === 0) {
+        grid.replaceChildren(listMessage('No frames were captured in this session.'));
+        return;
+    }
+
+    grid.replaceChildren(...images.map(image => {
+        const link = document.createElement('a');
+        link.href = image.url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+
+        const img = document.createElement('img');
+        img.src = image.thumbnailUrl || image.url;
+        img.alt = `Frame captured ${formatTime(image.uploadTimestamp)}`;
+        img.loading = 'lazy';
+
+        link.appendChild(img);
+        return link;
+    }));
+}
+
+async function renameSession(event) {
+    event.preventDefault();
+
+    const name = document.getElementById('renameInput').value.trim();
+    try {
+        await api.renameSession(state.selectedId, name);
+        showNotification('Session renamed.');
+        await loadPage();
+    } catch (error) {
+        showNotification(error.message, true);
+    }
+}
+
+async function deleteSession() {
+    const name = document.getElementById('renameInput').value;
+    if (!confirm(`Delete "${name}" with all of its emotions and captured frames? This cannot be undone.`)) return;
+
+    try {
+        await api.deleteSession(state.selectedId);
+        state.selectedId = null;
+        document.getElementById('sessionDetail').hidden = true;
+        document.getElementById('detailPlaceholder').hidden = false;
+        window.history.replaceState(null, '', window.location.pathname);
+        showNotification('Session deleted.');
+        await loadPage();
+    } catch (error) {
+        showNotification(error.message, true);
+    }
+}
+
+function showNotification(message, isError = false) {
+    const notification = document.createElement('div');
+    notification.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        background: ${isError ? 'var(--error)' : 'var(--gradient-primary)'};
+        color: white;
+        padding: 1rem 1.5rem;
+        border-radius: 0.5rem;
+        box-shadow: 0 4px 20px var(--shadow);
+        z-index: 1000;
+    `;
+    notification.textContent = message;
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+        notification.remove();
+    }, 3000);
+}
+
+function bindEvents() {
+    document.getElementById('searchInput').addEventListener('input', (event) => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            state.search = event.target.value.trim();
+            state.page = 0;
+            loadPage();
+        }, 300);
+    });
+
+    document.getElementById('prevPage').addEventListener('click', () => {
+        state.page--;
+        loadPage();
+    });
+    document.getElementById('nextPage').addEventListener('click', () => {
+        state.page++;
+        loadPage();
+    });
+
+    document.getElementById('renameForm').addEventListener('submit', renameSession);
+    document.getElementById('deleteBtn').addEventListener('click', deleteSession);
+}
+
+async function initializeHistory() {
+    document.documentElement.setAttribute('data-theme', localStorage.getItem('theme') || 'light');
+
+    const list = document.getElementById('sessionList');
+    if (!EmotionApiClient.storedToken()) {
+        list.replaceChildren(listMessage('Sign in with the account button above to see your past sessions.'));
+        return;
+    }
+
+    try {
+        const user = await api.getCurrentUser();
+        state.userId = user.id;
+    } catch (error) {
+        list.replaceChildren(listMessage(error.status === 401 ? 'Your session expired, sign in again.' : 'Could not load your account.'));
+        return;
+    }
+
+    bindEvents();
+    await loadPage();
+
+    const sessionId = new URLSearchParams(window.location.search).get('session');
+    if (sessionId) {
+        showDetail(sessionId);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    // The list belongs to whoever is signed in, so start over when that changes
+    new AccountMenu(api, () => window.location.reload());
+    initializeHistory();
+});
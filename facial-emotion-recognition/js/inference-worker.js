@@ -0,0 +1,77 @@
+// Dedicated worker that owns the face-api models and runs detection off the main thread.
+// Messages: { id, type: 'load', scriptUrl, modelUrl } and { id, type: 'detect', frame, options }.
+importScripts('face-inference.js');
+
+let inference = null;
+let frameCanvas = null;
+
+// face-api only knows browser and Node environments, so point it at OffscreenCanvas
+function setupEnvironment(scriptUrl) {
+    importScripts(scriptUrl);
+
+    faceapi.env.setEnv({
+        Canvas: OffscreenCanvas,
+        CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+        // Frames are always drawn onto a canvas first, so these are never instantiated
+        Image: class {},
+        ImageData,
+        Video: class {},
+        createCanvasElement: () => new OffscreenCanvas(1, 1),
+        createImageElement: () => {
+            throw new Error('Image elements are not available in a worker');
+        },
+        fetch: (...args) => fetch(...args),
+        readFile: () => {
+            throw new Error('readFile is not available in a worker');
+        }
+    });
+
+    inference = new FaceInference();
+}
+
+// Frames arrive as ImageBitmaps; face-api reads pixels from a canvas
+function drawFrame(frame) {
+    if (!frameCanvas || frameCanvas.width !== frame.width || frameCanvas.height !== frame.height) {
+        frameCanvas = new OffscreenCanvas(frame.width, frame.height);
+    }
+
+    frameCanvas.getContext('2d').drawImage(frame, 0, 0);
+    frame.close();
+    return frameCanvas;
+}
+
+self.onmessage = async (event) => {
+    const { id, type } = event.data;
+
+    try {
+        switch (type) {
+            case 'load':
+                if (!inference) {
+                    try {
+                        setupEnvironment(event.data.scriptUrl);
+                    } catch (error) {
+                        // The worker can't run face-api at all; the page should stop using it
+                        self.postMessage({ id, error: error.message, fatal: true });
+                        return;
+                    }
+                }
+                await inference.load(event.data.modelUrl);
+                self.postMessage({ id, result: true });
+                break;
+
+            case 'detect': {
+                if (!inference) {
+                    throw new Error('Models are not loaded');
+                }
+                const result = await inference.detect(drawFrame(event.data.frame), event.data.options);
+                self.postMessage({ id, result });
+                break;
+            }
+
+            default:
+                throw new Error(`Unknown message type: ${type}`);
+        }
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -0,0 +1,230 @@
+// IndexedDB-backed outbox for session and emotion writes.
+// Loaded by the page and by sw.js through importScripts, so it must not touch the DOM.
+const OUTBOX_SYNC_TAG = 'emotion-outbox';
+
+// Entries that could not be delivered within these limits are dropped
+const OUTBOX_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const OUTBOX_MAX_ENTRIES = 1000;
+
+class DetectionOutbox {
+    constructor(api, dbName = 'emotion-ai-outbox') {
+        this.api = api;
+        this.dbName = dbName;
+        this.dbPromise = null;
+        this.replaying = null;
+    }
+
+    // Temporary ids stand in for server session ids until the session has been replayed
+    static createClientSessionId() {
+        return `local-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // Network failures, missing auth, rate limiting and server errors are worth retrying;
+    // other 4xx are not
+    static isRetryable(error) {
+        return !error.status || error.status === 401 || error.status === 429 || error.status >= 500;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 2);
+
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        db.createObjectStore('requests', { keyPath: 'seq', autoIncrement: true });
+                        db.createObjectStore('sessionMap', { keyPath: 'clientId' });
+                    }
+                    if (event.oldVersion < 2) {
+                        db.createObjectStore('meta', { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async withStore(storeName, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = callback(transaction.objectStore(storeName));
+            let result;
+
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    enqueue(type, clientSessionId, body) {
+        return this.withStore('requests', 'readwrite', store => store.add({
+            type,
+            clientSessionId,
+            body,
+            createdAt: Date.now()
+        }));
+    }
+
+    queueSession(clientSessionId, sessionData) {
+        return this.enqueue('createSession', clientSessionId, sessionData);
+    }
+
+    queueEmotions(clientSessionId, emotions) {
+        return this.enqueue('recordEmotions', clientSessionId, emotions);
+    }
+
+    queueSessionEnd(clientSessionId, summary) {
+        return this.enqueue('endSession', clientSessionId, summary);
+    }
+
+    getPending() {
+        return this.withStore('requests', 'readonly', store => store.getAll());
+    }
+
+    count() {
+        return this.withStore('requests', 'readonly', store => store.count());
+    }
+
+    remove(seq) {
+        return this.withStore('requests', 'readwrite', store => store.delete(seq));
+    }
+
+    update(entry) {
+        return this.withStore('requests', 'readwrite', store => store.put(entry));
+    }
+
+    // Drops expired entries, then the oldest ones over the limit. Returns what is left.
+    async prune(entries) {
+        const cutoff = Date.now() - OUTBOX_MAX_AGE_MS;
+        const expired = entries.filter(entry => entry.createdAt < cutoff);
+        const kept = entries.filter(entry => entry.createdAt >= cutoff);
+        const dropped = [...expired, ...kept.splice(0, Math.max(kept.length - OUTBOX_MAX_ENTRIES, 0))];
+
+        if (dropped.length > 0) {
+            console.warn(`Dropping ${dropped.length} outbox entries that could not be delivered in time`);
+            await this.withStore('requests', 'readwrite', store => {
+                dropped.forEach(entry => store.delete(entry.seq));
+            });
+        }
+        return kept;
+    }
+
+    async resolveSessionId(clientSessionId) {
+        const mapping = await this.withStore('sessionMap', 'readonly', store => store.get(clientSessionId));
+        return mapping ? mapping.serverId : null;
+    }
+
+    mapSession(clientSessionId, serverId) {
+        return this.withStore('sessionMap', 'readwrite', store => store.put({
+            clientId: clientSessionId,
+            serverId,
+            mappedAt: Date.now()
+        }));
+    }
+
+    // The service worker has no localStorage, so the page mirrors its token here
+    setAuthToken(token) {
+        return this.withStore('meta', 'readwrite', store => (
+            token ? store.put({ key: 'authToken', value: token }) : store.delete('authToken')
+        ));
+    }
+
+    async getAuthToken() {
+        const entry = await this.withStore('meta', 'readonly', store => store.get('authToken'));
+        return entry ? entry.value : null;
+    }
+
+    async requireSessionId(clientSessionId) {
+        const serverId = await this.resolveSessionId(clientSessionId);
+
+        if (!serverId) {
+            const error = new Error(`No server session for ${clientSessionId}`);
+            error.status = 404;
+            throw error;
+        }
+        return serverId;
+    }
+
+    // Replays pending entries in order; page and worker share a lock so nothing is sent twice
+    replay() {
+        if (!this.replaying) {
+            const run = () => this.replayPending();
+            const locks = self.navigator && self.navigator.locks;
+
+            this.replaying = (locks ? locks.request('emotion-ai-outbox', run) : run())
+                .finally(() => {
+                    this.replaying = null;
+                });
+        }
+        return this.replaying;
+    }
+
+    async replayPending() {
+        const entries = await this.prune(await this.getPending());
+        let replayed = 0;
+
+        for (const entry of entries) {
+            try {
+                await this.replayEntry(entry);
+            } catch (error) {
+                if (DetectionOutbox.isRetryable(error)) {
+                    // Keep this entry and everything after it for the next attempt
+                    return { replayed, remaining: entries.length - replayed, retryAfter: error.retryAfter };
+                }
+                console.warn(`Dropping outbox entry ${entry.seq} (${entry.type}):`, error.message);
+            }
+
+            await this.remove(entry.seq);
+            replayed++;
+        }
+
+        return { replayed, remaining: 0 };
+    }
+
+    async replayEntry(entry) {
+        switch (entry.type) {
+            case 'createSession': {
+                // A crash between creating and removing the entry must not create a second session
+                if (await this.resolveSessionId(entry.clientSessionId)) return;
+
+                const session = await this.api.createSession(entry.body);
+                await this.mapSession(entry.clientSessionId, session.id);
+                return;
+            }
+
+            case 'recordEmotions': {
+                const sessionId = await this.requireSessionId(entry.clientSessionId);
+
+                try {
+                    await this.api.recordEmotions(entry.body.map(emotion => ({ ...emotion, sessionId })));
+                } catch (error) {
+                    // Only retry the part of the batch the server has not seen yet
+                    if (error.processed) {
+                        await this.update({ ...entry, body: entry.body.slice(error.processed) });
+                    }
+                    throw error;
+                }
+                return;
+            }
+
+            case 'endSession': {
+                const sessionId = await this.requireSessionId(entry.clientSessionId);
+                await this.api.endSession(sessionId, entry.body);
+                return;
+            }
+
+            default:
+                console.warn(`Unknown outbox entry type: ${entry.type}`);
+        }
+    }
+}
@@ -0,0 +1,52 @@
+// Password reset form opened from the emailed link; the token comes from ?token=
+const token = new URLSearchParams(window.location.search).get('token');
+
+function showMessage(message, isError = false) {
+    const element = document.getElementById('resetMessage');
+    element.textContent = message;
+    element.className = isError ? 'reset-message error' : 'reset-message';
+}
+
+async function resetPassword(event) {
+    event.preventDefault();
+
+    const password = document.getElementById('password').value;
+    const confirmPassword = document.getElementById('confirmPassword').value;
+
+    if (password !== confirmPassword) {
+        showMessage('Passwords do not match.', true);
+        return;
+    }
+
+    const button = document.getElementById('resetBtn');
+    button.disabled = true;
+
+    try {
+        const response = await fetch('/api/auth/reset-password', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token, password })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Password reset failed');
+        }
+
+        showMessage('Password updated. You can now sign in with your new password.');
+        document.getElementById('resetForm').reset();
+    } catch (error) {
+        showMessage(error.message, true);
+        button.disabled = false;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!token) {
+        showMessage('This reset link is missing its token.', true);
+        document.getElementById('resetBtn').disabled = true;
+        return;
+    }
+
+    document.getElementById('resetForm').addEventListener('submit', resetPassword);
+});
@@ -0,0 +1,219 @@
+// Downloadable reports for a result as result.html shows it: a self-contained HTML
+// page and a PNG summary card. Both carry the captured frame with the face box, the
+// full expression profile, the age/gender estimate and timestamps. Uses the palette
+// and time parsing from js/emotion-timeline.js.
+class ResultReport {
+    // result: { emotion, confidence, confidenceLabel, expressions, subject, frame, metrics, startedAt, endedAt }
+    constructor(result) {
+        this.result = result;
+    }
+
+    static formatPercent(value) {
+        return typeof value === 'number' ? `${Math.round(value * 100)}%` : '--';
+    }
+
+    static formatTime(value) {
+        return value ? EmotionTimeline.parseServerTime(value).toLocaleString() : '--';
+    }
+
+    static capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    static escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    describeSubject() {
+        const { subject } = this.result;
+        if (!subject) return 'No age or gender estimate was recorded';
+
+        const parts = [];
+        if (typeof subject.age === 'number') {
+            parts.push(`about ${Math.round(subject.age)} years old`);
+        }
+        if (subject.gender) {
+            const probability = typeof subject.genderProbability === 'number'
+                ? ` (${ResultReport.formatPercent(subject.genderProbability)})`
+                : '';
+            parts.push(`${subject.gender}${probability}`);
+        }
+        return `Estimated ${parts.join(', ')}`;
+    }
+
+    // Largest first, so both formats read the same way
+    sortedExpressions() {
+        return Object.entries(this.result.expressions || {}).sort((a, b) => b[1] - a[1]);
+    }
+
+    timestamps() {
+        const { startedAt, endedAt, frame } = this.result;
+        return [
+            ['Started', ResultReport.formatTime(startedAt)],
+            ['Ended', ResultReport.formatTime(endedAt)],
+            ['Frame captured', ResultReport.formatTime(frame && frame.capturedAt)],
+            ['Report created', new Date().toLocaleString()]
+        ];
+    }
+
+    // The frame with its face box drawn in, or null when there is none or it fails to load
+    async renderFrame(maxWidth = 960) {
+        const { frame } = this.result;
+        if (!frame || !frame.url) return null;
+
+        const image = new Image();
+        image.src = frame.url;
+        try {
+            await image.decode();
+        } catch (error) {
+            console.warn('Report frame could not be loaded:', error.message);
+            return null;
+        }
+
+        const scale = Math.min(1, maxWidth / image.naturalWidth);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.naturalWidth * scale);
+        canvas.height = Math.round(image.naturalHeight * scale);
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        // The box is in the pixels of the frame as it was captured
+        if (frame.box) {
+            const boxScale = canvas.width / (frame.width || image.naturalWidth);
+            ctx.lineWidth = Math.max(2, canvas.width / 240);
+            ctx.strokeStyle = '#22d3ee';
+            ctx.strokeRect(frame.box.x * boxScale, frame.box.y * boxScale,
+                frame.box.width * boxScale, frame.box.height * boxScale);
+        }
+        return canvas;
+    }
+
+    async toHtml() {
+        const { emotion, confidence, confidenceLabel, metrics } = this.result;
+        const escape = ResultReport.escapeHtml;
+        const percent = ResultReport.formatPercent;
+        const frame = await this.renderFrame();
+
+        const bars = this.sortedExpressions().map(([name, probability]) => `
+      <div class="bar-row">
+        <span>${escape(ResultReport.capitalize(name))}</span>
+        <div class="bar-track"><div class="bar" style="width: ${probability * 100}%; background: ${TIMELINE_EMOTIONS[name] || '#6b7280'}"></div></div>
+        <span>${percent(probability)}</span>
+      </div>`).join('');
+
+        const facts = [
+            ...this.timestamps(),
+            ['Mean face score', percent(metrics && metrics.meanDetectionScore)],
+            ['Face in frame', percent(metrics && metrics.facePresentRatio)]
+        ].map(([label, value]) => `<tr><th>${escape(label)}</th><td>${escape(value)}</td></tr>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Emotion Recognition Report</title>
+  <style>
+    body { font-family: system-ui, sans-serif; color: #1e293b; max-width: 760px; margin: 2rem auto; padding: 0 1rem; }
+    h1 { font-size: 1.5rem; }
+    img { max-width: 100%; border-radius: 8px; }
+    .headline { font-size: 2rem; font-weight: 700; color: ${TIMELINE_EMOTIONS[emotion] || '#1e293b'}; margin: 1rem 0 0; }
+    .muted { color: #6b7280; }
+    .bar-row { display: grid; grid-template-columns: 6rem 1fr 3.5rem; gap: 0.75rem; align-items: center; margin: 0.4rem 0; }
+    .bar-track { background: #e5e7eb; border-radius: 4px; height: 12px; overflow: hidden; }
+    .bar { height: 100%; }
+    table { border-collapse: collapse; margin-top: 1.5rem; }
+    th, td { text-align: left; padding: 0.25rem 1rem 0.25rem 0; }
+    th { font-weight: 500; color: #6b7280; }
+  </style>
+</head>
+<body>
+  <h1>Emotion Recognition Report</h1>
+  ${frame ? `<img src="${frame.toDataURL('image/jpeg', 0.85)}" alt="Captured frame with the detected face outlined">` : '<p class="muted">No frame was captured.</p>'}
+  <p class="headline">${escape(ResultReport.capitalize(emotion))}</p>
+  <p>${percent(confidence)} ${escape(confidenceLabel)}</p>
+  <p>${escape(this.describeSubject())}</p>
+  <h2>Expression Profile</h2>
+  ${bars || '<p class="muted">No expression probabilities were recorded.</p>'}
+  <table>${facts}</table>
+</body>
+</html>
+`;
+    }
+
+    // A 1200x630 card, the size link previews use
+    async toPngBlob() {
+        const { emotion, confidence, confidenceLabel } = this.result;
+        const canvas = document.createElement('canvas');
+        canvas.width = 1200;
+        canvas.height = 630;
+        const ctx = canvas.getContext('2d');
+        const font = (size, weight = 400) => `${weight} ${size}px Inter, system-ui, sans-serif`;
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        ctx.fillStyle = '#1e293b';
+        ctx.font = font(28, 700);
+        ctx.fillText('EmotionAI Result', 40, 60);
+
+        // Frame on the left, fitted into 520x420
+        const frame = await this.renderFrame(1040);
+        if (frame) {
+            const scale = Math.min(520 / frame.width, 420 / frame.height);
+            ctx.drawImage(frame, 40, 100, frame.width * scale, frame.height * scale);
+        } else {
+            ctx.fillStyle = '#f1f5f9';
+            ctx.fillRect(40, 100, 520, 420);
+            ctx.fillStyle = '#6b7280';
+            ctx.font = font(20);
+            ctx.textAlign = 'center';
+            ctx.fillText('No frame captured', 300, 315);
+            ctx.textAlign = 'left';
+        }
+
+        ctx.fillStyle = TIMELINE_EMOTIONS[emotion] || '#1e293b';
+        ctx.font = font(48, 700);
+        ctx.fillText(ResultReport.capitalize(emotion), 600, 140);
+
+        ctx.fillStyle = '#1e293b';
+        ctx.font = font(22);
+        ctx.fillText(`${ResultReport.formatPercent(confidence)} ${confidenceLabel}`, 600, 180);
+        ctx.fillStyle = '#6b7280';
+        ctx.font = font(18);
+        ctx.fillText(this.describeSubject(), 600, 214);
+
+        this.sortedExpressions().forEach(([name, probability], index) => {
+            const y = 260 + index * 38;
+            ctx.fillStyle = '#1e293b';
+            ctx.font = font(18);
+            ctx.fillText(ResultReport.capitalize(name), 600, y + 15);
+
+            ctx.fillStyle = '#e5e7eb';
+            ctx.fillRect(720, y, 380, 18);
+            ctx.fillStyle = TIMELINE_EMOTIONS[name] || '#6b7280';
+            ctx.fillRect(720, y, 380 * probability, 18);
+
+            ctx.fillStyle = '#1e293b';
+            ctx.fillText(ResultReport.formatPercent(probability), 1112, y + 15);
+        });
+
+        ctx.fillStyle = '#6b7280';
+        ctx.font = font(15);
+        ctx.fillText(this.timestamps().slice(0, 3).map(([label, value]) => `${label} ${value}`).join('   ·   '), 40, 590);
+
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        // Some browsers start reading the blob only after click() returns
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+}
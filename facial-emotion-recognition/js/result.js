@@ -0,0 +1,335 @@
+// Result page: shows a shared result (?token=), a stored session (?session=) or the
+// last session run in this browser, and saves, shares and downloads it
+// Emotion data and configurations
+const emotionConfig = {
+    happy: { icon: 'fas fa-smile', color: '#10b981', description: 'Your expression shows genuine happiness with a bright smile and relaxed facial muscles.' },
+    sad: { icon: 'fas fa-sad-tear', color: '#3b82f6', description: 'Your expression indicates sadness with downturned mouth and slightly drooping eyelids.' },
+    angry: { icon: 'fas fa-angry', color: '#ef4444', description: 'Your expression shows anger with furrowed brows, tense jaw, and narrowed eyes.' },
+    surprise: { icon: 'fas fa-surprise', color: '#f59e0b', description: 'Your expression reveals surprise with wide eyes, raised eyebrows, and open mouth.' },
+    fear: { icon: 'fas fa-frown', color: '#8b5cf6', description: 'Your expression indicates fear with wide eyes, raised eyebrows, and tense facial muscles.' },
+    disgust: { icon: 'fas fa-meh', color: '#84cc16', description: 'Your expression shows disgust with wrinkled nose, raised upper lip, and furrowed brows.' },
+    neutral: { icon: 'fas fa-meh-blank', color: '#6b7280', description: 'Your expression appears neutral with relaxed facial muscles and balanced features.' }
+};
+
+// face-api names the emotions differently from the keys above
+const emotionAliases = { surprised: 'surprise', fearful: 'fear', disgusted: 'disgust' };
+
+const api = new EmotionApiClient();
+
+// { emotion, confidence, confidenceLabel, expressions, subject, frame, metrics,
+//   startedAt, endedAt, sessionId, token, expiresAt }
+let currentResult = null;
+
+// result.html?token=<share token> shows a shared result, ?session=<id> one of your
+// stored sessions, and no parameter the last session run in this browser
+async function initializeResult() {
+    const params = new URLSearchParams(window.location.search);
+    let errorMessage = null;
+
+    try {
+        if (params.get('token')) {
+            currentResult = await loadSharedResult(params.get('token'));
+        } else if (params.get('session')) {
+            currentResult = await loadSessionResult(params.get('session'));
+        } else {
+            currentResult = loadLocalResult();
+        }
+    } catch (error) {
+        console.error('Failed to load result:', error);
+        errorMessage = error.status === 410 ? 'This shared result has expired.' : null;
+        currentResult = null;
+    }
+
+    if (currentResult) {
+        displayResult(currentResult);
+    } else {
+        showEmptyState(errorMessage);
+    }
+}
+
+async function loadSharedResult(token) {
+    const result = await api.getSharedResult(token);
+    const metadata = result.metadata || {};
+
+    return {
+        emotion: result.emotionType,
+        confidence: result.confidenceScore,
+        confidenceLabel: metadata.confidenceLabel || 'confidence',
+        expressions: result.expressions,
+        subject: metadata.subject || null,
+        frame: metadata.frame || null,
+        metrics: metadata.metrics || null,
+        startedAt: metadata.startedAt || null,
+        endedAt: metadata.endedAt || result.createdAt,
+        sessionId: null,
+        token,
+        expiresAt: result.expiresAt
+    };
+}
+
+// Written by js/app.js when a live session stops
+function loadLocalResult() {
+    const saved = JSON.parse(localStorage.getItem('lastSessionResult') || 'null');
+    if (!saved || !saved.emotionType) return null;
+    const metadata = saved.metadata || {};
+
+    return {
+        emotion: saved.emotionType,
+        confidence: saved.confidenceScore,
+        confidenceLabel: 'confidence',
+        expressions: saved.expressions,
+        subject: metadata.subject || null,
+        frame: metadata.frame || null,
+        metrics: metadata.metrics || null,
+        startedAt: metadata.startedAt || null,
+        endedAt: metadata.endedAt || null,
+        sessionId: null,
+        token: null,
+        expiresAt: null
+    };
+}
+
+// The server builds session reports, the same data its PDF report uses
+async function loadSessionResult(sessionId) {
+    const report = await api.getSessionReport(sessionId);
+    return { ...report, token: null, expiresAt: null };
+}
+
+function formatPercent(value) {
+    return typeof value === 'number' ? `${Math.round(value * 100)}%` : '--';
+}
+
+// Display the emotion result
+function displayResult({ emotion, confidence, confidenceLabel, expressions, metrics, sessionId, token, expiresAt }) {
+    document.getElementById('loadingState').style.display = 'none';
+    document.getElementById('resultState').style.display = 'block';
+
+    const key = emotionAliases[emotion.toLowerCase()] || emotion.toLowerCase();
+    const config = emotionConfig[key] || emotionConfig.neutral;
+
+    // Update emotion visual
+    const visual = document.getElementById('emotionVisual');
+    visual.innerHTML = `<i class="${config.icon}"></i>`;
+    visual.className = `emotion-visual emotion-${key}`;
+
+    // Update text content
+    document.getElementById('emotionName').textContent = emotion.charAt(0).toUpperCase() + emotion.slice(1);
+    document.getElementById('confidenceText').textContent = formatPercent(confidence);
+    document.getElementById('confidenceLabel').textContent = confidenceLabel;
+    document.getElementById('confidenceFill').style.width = `${confidence * 100}%`;
+    document.getElementById('emotionDescription').textContent = config.description;
+
+    renderBars('expressionProfile', expressions);
+    if (metrics) {
+        displayMetrics(metrics);
+    }
+    displayShareState(token, expiresAt);
+    document.getElementById('pdfReportBtn').hidden = !sessionId;
+
+    // Add fade-in animation
+    document.querySelectorAll('.fade-in').forEach(el => {
+        el.style.animationDelay = '0.2s';
+    });
+}
+
+function displayMetrics({ meanDetectionScore, facePresentRatio, avgProcessingMs, emotionDistribution }) {
+    document.getElementById('detectionTime').textContent =
+        typeof avgProcessingMs === 'number' ? `${Math.round(avgProcessingMs)}ms` : '--';
+    document.getElementById('faceScore').textContent = formatPercent(meanDetectionScore);
+    document.getElementById('facePresent').textContent = formatPercent(facePresentRatio);
+
+    const entries = Object.entries(emotionDistribution || {});
+    document.getElementById('emotionCount').textContent = entries.length;
+    document.getElementById('distributionTitle').hidden = entries.length === 0;
+    renderBars('emotionDistribution', emotionDistribution);
+}
+
+// One labelled bar per emotion, largest first
+function renderBars(containerId, values) {
+    const entries = Object.entries(values || {}).sort((a, b) => b[1] - a[1]);
+    const container = document.getElementById(containerId);
+
+    container.replaceChildren(...entries.map(([emotion, share]) => {
+        const key = emotionAliases[emotion] || emotion;
+        const row = document.createElement('div');
+        row.className = 'distribution-row';
+
+        const name = document.createElement('span');
+        name.textContent = emotion.charAt(0).toUpperCase() + emotion.slice(1);
+
+        const bar = document.createElement('div');
+        bar.className = 'distribution-bar';
+        bar.style.width = `${share * 100}%`;
+        bar.style.background = (emotionConfig[key] || emotionConfig.neutral).color;
+
+        const value = document.createElement('span');
+        value.textContent = formatPercent(share);
+
+        row.append(name, bar, value);
+        return row;
+    }));
+}
+
+// A result that already has a share token keeps it; the expiry only applies to new links
+function displayShareState(token, expiresAt) {
+    const info = document.getElementById('shareInfo');
+    document.getElementById('shareExpiry').hidden = Boolean(token);
+
+    if (token) {
+        info.textContent = expiresAt
+            ? `Shared result, available until ${EmotionTimeline.parseServerTime(expiresAt).toLocaleString()}.`
+            : 'Shared result.';
+        info.hidden = false;
+    }
+}
+
+// Show empty state
+function showEmptyState(message) {
+    document.getElementById('loadingState').style.display = 'none';
+    document.getElementById('emptyState').style.display = 'block';
+    if (message) {
+        document.querySelector('#emptyState p').textContent = message;
+    }
+}
+
+// Action functions
+function saveResult() {
+    const { emotion, confidence } = currentResult;
+
+    // Save to local storage history
+    const history = JSON.parse(localStorage.getItem('emotionHistory') || '[]');
+    history.unshift({
+        emotion,
+        confidence,
+        timestamp: new Date().toISOString()
+    });
+
+    // Keep only last 50 results
+    if (history.length > 50) history.pop();
+
+    localStorage.setItem('emotionHistory', JSON.stringify(history));
+
+    // Show success message
+    showNotification('Result saved successfully!');
+}
+
+// Stores the result on the server the first time it is shared
+async function ensureShareToken() {
+    if (currentResult.token) return currentResult.token;
+
+    if (!EmotionApiClient.storedToken()) {
+        showNotification('Sign in on the detection or history page to share results.');
+        return null;
+    }
+
+    const { emotion, confidence, confidenceLabel, expressions, subject, frame, metrics, startedAt, endedAt, sessionId } = currentResult;
+    const expiresInDays = parseInt(document.getElementById('shareExpiry').value) || undefined;
+    // A frame kept only in this browser is left out of the shared copy
+    const sharedFrame = frame && !frame.url.startsWith('data:') ? frame : null;
+    const { token, expiresAt } = await api.createResult({
+        emotionType: emotion,
+        confidenceScore: confidence,
+        expressions,
+        metadata: { confidenceLabel, subject, frame: sharedFrame, metrics, startedAt, endedAt },
+        ...(sessionId && { sessionId }),
+        ...(expiresInDays && { expiresInDays })
+    });
+
+    Object.assign(currentResult, { token, expiresAt });
+    window.history.replaceState(null, '', `?token=${token}`);
+    displayShareState(token, expiresAt);
+    return token;
+}
+
+async function shareResult() {
+    let token;
+    try {
+        token = await ensureShareToken();
+    } catch (error) {
+        console.error('Failed to create share link:', error);
+        showNotification('Could not create a share link.');
+        return;
+    }
+    if (!token) return;
+
+    const { emotion, confidence, confidenceLabel } = currentResult;
+    const url = new URL(`result.html?token=${token}`, window.location.href).href;
+
+    try {
+        if (navigator.share) {
+            await navigator.share({
+                title: 'My Emotion Recognition Result',
+                text: `I just got ${emotion} with ${formatPercent(confidence)} ${confidenceLabel} using EmotionAI!`,
+                url
+            });
+        } else {
+            // Fallback to clipboard
+            await navigator.clipboard.writeText(url);
+            showNotification('Share link copied to clipboard!');
+        }
+    } catch (error) {
+        // Closing the share sheet is not an error
+        if (error.name === 'AbortError') return;
+
+        console.error('Failed to share result:', error);
+        showNotification('Could not share the link, copy it from the address bar instead.');
+    }
+}
+
+// format is 'html', 'png' or 'pdf'; PDFs are rendered by the server for stored sessions
+async function downloadReport(format) {
+    const stamp = Date.now();
+    try {
+        if (format === 'pdf') {
+            ResultReport.download(await api.getSessionReportPdf(currentResult.sessionId), `emotion-report-${stamp}.pdf`);
+            return;
+        }
+
+        const report = new ResultReport(currentResult);
+        if (format === 'png') {
+            ResultReport.download(await report.toPngBlob(), `emotion-card-${stamp}.png`);
+        } else {
+            const html = await report.toHtml();
+            ResultReport.download(new Blob([html], { type: 'text/html' }), `emotion-report-${stamp}.html`);
+        }
+    } catch (error) {
+        console.error('Failed to create report:', error);
+        showNotification('Could not create the report.');
+    }
+}
+
+function showNotification(message) {
+    const notification = document.createElement('div');
+    notification.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        background: var(--gradient-primary);
+        color: white;
+        padding: 1rem 1.5rem;
+        border-radius: 0.5rem;
+        box-shadow: 0 4px 20px var(--shadow);
+        z-index: 1000;
+        animation: slideIn 0.3s ease;
+    `;
+    notification.textContent = message;
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+        notification.remove();
+    }, 3000);
+}
+
+function bindEvents() {
+    document.getElementById('saveResultBtn').addEventListener('click', saveResult);
+    document.getElementById('shareResultBtn').addEventListener('click', shareResult);
+    document.getElementById('htmlReportBtn').addEventListener('click', () => downloadReport('html'));
+    document.getElementById('pngReportBtn').addEventListener('click', () => downloadReport('png'));
+    document.getElementById('pdfReportBtn').addEventListener('click', () => downloadReport('pdf'));
+}
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', () => {
+    bindEvents();
+    initializeResult();
+});
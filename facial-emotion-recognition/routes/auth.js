@@ -1,11 +1,18 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const Joi = require('joi');
 const database = require('../database/database');
+const mailer = require('../services/mailer');
+const emotionStream = require('../services/emotion-stream');
 
 const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const EMAIL_VERIFICATION_TTL = '24h';
+const PASSWORD_RESET_TTL = '1h';
 
 // Validation schemas
 const registerSchema = Joi.object({
@@ -20,6 +27,125 @@ const loginSchema = Joi.object({
     password: Joi.string().required()
 });
 
+const refreshSchema = Joi.object({
+    refreshToken: Joi.string().hex().length(96).required()
+});
+
+const emailTokenSchema = Joi.object({
+    token: Joi.string().required()
+});
+
+const forgotPasswordSchema = Joi.object({
+    email: Joi.string().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+    token: Joi.string().required(),
+    password: Joi.string().min(6).required()
+});
+
+// Refresh tokens are only stored as hashes
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// SQLite's CURRENT_TIMESTAMP format, so expiry comparisons work in SQL
+function toSqlDate(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Issue an access token plus a refresh token. A new login starts a new token
+// family; refreshing passes the token being rotated so the family carries over.
+async function issueTokens(user, req, rotatedToken = null) {
+    const familyId = rotatedToken ? rotatedToken.family_id : crypto.randomBytes(16).toString('hex');
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const tokenData = {
+        userId: user.id,
+        familyId,
+        tokenHash: hashToken(refreshToken),
+        deviceInfo: (req.headers['user-agent'] || '').slice(0, 500),
+        ipAddress: req.ip,
+        expiresAt: toSqlDate(expiresAt)
+    };
+
+    if (rotatedToken) {
+        await database.rotateRefreshToken(rotatedToken.id, tokenData);
+    } else {
+        await database.createRefreshToken(tokenData);
+    }
+
+    const token = jwt.sign(
+        { userId: user.id, username: user.username, email: user.email, fid: familyId },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+    return {
+        token,
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL,
+        refreshTokenExpiresAt: expiresAt.toISOString()
+    };
+}
+
+// Verify an access token and make sure its token family has not been revoked
+async function verifyAccessToken(token) {
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    if (!decoded.fid || !(await database.isTokenFamilyActive(decoded.fid))) {
+        const error = new Error('Token revoked');
+        error.name = 'TokenRevokedError';
+        throw error;
+    }
+
+    return decoded;
+}
+
+// Revoking tokens also ends the live streams they opened
+async function revokeTokenFamily(familyId) {
+    const result = await database.revokeTokenFamily(familyId);
+    emotionStream.closeFamily(familyId);
+    return result;
+}
+
+async function revokeUserTokens(userId) {
+    const result = await database.revokeUserTokens(userId);
+    emotionStream.closeUser(userId);
+    return result;
+}
+
+// Ties a reset token to the current password hash so it stops working once used
+function passwordFingerprint(passwordHash) {
+    return crypto.createHash('sha256').update(passwordHash).digest('hex').slice(0, 16);
+}
+
+// Signed single-purpose tokens for email links; they carry no token family,
+// so they are never accepted as access tokens
+function signActionToken(user, purpose, expiresIn, claims = {}) {
+    return jwt.sign({ userId: user.id, purpose, ...claims }, JWT_SECRET, { expiresIn });
+}
+
+function verifyActionToken(token, purpose) {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.purpose !== purpose) {
+        throw new jwt.JsonWebTokenError('Invalid token purpose');
+    }
+    return decoded;
+}
+
+async function sendVerificationEmail(user) {
+    const token = signActionToken(user, 'verify-email', EMAIL_VERIFICATION_TTL, { email: user.email });
+    return mailer.sendVerificationEmail(user, token);
+}
+
+function tokenErrorMessage(error) {
+    if (error.name === 'TokenExpiredError') return 'Token expired';
+    if (error.name === 'TokenRevokedError') return 'Token revoked';
+    return 'Invalid token';
+}
+
 // Register new user
 router.post('/register', async (req, res) => {
     try {
@@ -53,21 +179,25 @@ router.post('/register', async (req, res) => {
             fullName
         });
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: result.lastID, username, email },
-            JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        // Generate access and refresh tokens
+        const tokens = await issueTokens({ id: result.lastID, username, email }, req);
+
+        // A mail failure should not fail the registration; the user can ask for a resend
+        try {
+            await sendVerificationEmail({ id: result.lastID, username, email });
+        } catch (mailError) {
+            console.error('Verification email error:', mailError);
+        }
 
         res.status(201).json({
             message: 'User registered successfully',
-            token,
+            ...tokens,
             user: {
                 id: result.lastID,
                 username,
                 email,
-                fullName
+                fullName,
+                emailVerified: false
             }
         });
 
@@ -105,22 +235,19 @@ router.post('/login', async (req, res) => {
             [user.id]
         );
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user.id, username: user.username, email: user.email },
-            JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        // Generate access and refresh tokens
+        const tokens = await issueTokens(user, req);
 
         res.json({
             message: 'Login successful',
-            token,
+            ...tokens,
             user: {
                 id: user.id,
                 username: user.username,
                 email: user.email,
                 fullName: user.full_name,
-                avatarUrl: user.avatar_url
+                avatarUrl: user.avatar_url,
+                emailVerified: Boolean(user.email_verified)
             }
         });
 
@@ -139,11 +266,11 @@ router.post('/verify', async (req, res) => {
             return res.status(401).json({ error: 'No token provided' });
         }
 
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const decoded = await verifyAccessToken(token);
         
         // Check if user still exists
         const user = await database.get(
-            'SELECT id, username, email, full_name, avatar_url FROM users WHERE id = ? AND is_active = 1',
+            'SELECT id, username, email, full_name, avatar_url, email_verified FROM users WHERE id = ? AND is_active = 1',
             [decoded.userId]
         );
 
@@ -158,15 +285,216 @@ router.post('/verify', async (req, res) => {
                 username: user.username,
                 email: user.email,
                 fullName: user.full_name,
-                avatarUrl: user.avatar_url
+                avatarUrl: user.avatar_url,
+                emailVerified: Boolean(user.email_verified)
             }
         });
 
     } catch (error) {
-        if (error.name === 'TokenExpiredError') {
-            return res.status(401).json({ error: 'Token expired' });
+        res.status(401).json({ error: tokenErrorMessage(error) });
+    }
+});
+
+// Confirm an email address; GET serves the link in the verification email
+async function verifyEmail(req, res) {
+    try {
+        const input = req.method === 'GET' ? req.query : req.body;
+        const { error } = emailTokenSchema.validate(input, { allowUnknown: true });
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        let decoded;
+        try {
+            decoded = verifyActionToken(input.token, 'verify-email');
+        } catch (tokenError) {
+            const message = tokenError.name === 'TokenExpiredError'
+                ? 'Verification link expired'
+                : 'Invalid verification link';
+            return res.status(400).json({ error: message });
+        }
+
+        const user = await database.findUserById(decoded.userId);
+
+        // The token is bound to the address it was sent to
+        if (!user || user.email !== decoded.email) {
+            return res.status(400).json({ error: 'Invalid verification link' });
+        }
+
+        await database.markEmailVerified(user.id);
+
+        res.json({ message: 'Email verified successfully', emailVerified: true });
+
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Email verification failed' });
+    }
+}
+
+router.get('/verify-email', verifyEmail);
+router.post('/verify-email', verifyEmail);
+
+// Send a new verification email to the authenticated user
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+    try {
+        const user = await database.findUserById(req.user.userId);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.email_verified) {
+            return res.status(409).json({ error: 'Email already verified' });
+        }
+
+        await sendVerificationEmail(user);
+
+        res.json({ message: 'Verification email sent' });
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+// Start a password reset. The response never reveals whether the email is registered.
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { error } = forgotPasswordSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const user = await database.findUserByEmail(req.body.email);
+
+        if (user) {
+            const token = signActionToken(user, 'password-reset', PASSWORD_RESET_TTL, {
+                pwd: passwordFingerprint(user.password_hash)
+            });
+            await mailer.sendPasswordResetEmail(user, token);
+        }
+
+        res.json({ message: 'If that email is registered, a reset link has been sent' });
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to start password reset' });
+    }
+});
+
+// Finish a password reset and sign the user out everywhere
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { error } = resetPasswordSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        let decoded;
+        try {
+            decoded = verifyActionToken(req.body.token, 'password-reset');
+        } catch (tokenError) {
+            const message = tokenError.name === 'TokenExpiredError'
+                ? 'Reset link expired'
+                : 'Invalid reset link';
+            return res.status(400).json({ error: message });
+        }
+
+        const user = await database.findUserById(decoded.userId);
+
+        // A changed password hash means the link was already used
+        if (!user || decoded.pwd !== passwordFingerprint(user.password_hash)) {
+            return res.status(400).json({ error: 'Invalid reset link' });
+        }
+
+        const saltRounds = 10;
+        const passwordHash = await bcrypt.hash(req.body.password, saltRounds);
+
+        await database.updatePassword(user.id, passwordHash);
+        await revokeUserTokens(user.id);
+
+        // Receiving the link proves ownership of the address
+        await database.markEmailVerified(user.id);
+
+        res.json({ message: 'Password reset successfully' });
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Password reset failed' });
+    }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+    try {
+        const { error } = refreshSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const stored = await database.findRefreshToken(hashToken(req.body.refreshToken));
+
+        if (!stored) {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        // A rotated token being presented again means it leaked; kill the whole family
+        if (stored.revoked_at) {
+            if (stored.replaced_by) {
+                await revokeTokenFamily(stored.family_id);
+            }
+            return res.status(401).json({ error: 'Refresh token revoked' });
+        }
+
+        if (new Date(`${stored.expires_at}Z`) <= new Date()) {
+            return res.status(401).json({ error: 'Refresh token expired' });
+        }
+
+        const user = await database.get(
+            'SELECT id, username, email FROM users WHERE id = ? AND is_active = 1',
+            [stored.user_id]
+        );
+
+        if (!user) {
+            await revokeTokenFamily(stored.family_id);
+            return res.status(401).json({ error: 'User not found' });
         }
-        res.status(401).json({ error: 'Invalid token' });
+
+        const tokens = await issueTokens(user, req, stored);
+
+        res.json({
+            message: 'Token refreshed successfully',
+            ...tokens
+        });
+
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({ error: 'Token refresh failed' });
+    }
+});
+
+// Log out this device by revoking its token family
+router.post('/logout', authenticateToken, async (req, res) => {
+    try {
+        await revokeTokenFamily(req.user.fid);
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+// Log out every device of the user
+router.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+        const result = await revokeUserTokens(req.user.userId);
+        res.json({
+            message: 'Logged out of all devices',
+            revokedTokens: result.changes
+        });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ error: 'Logout failed' });
     }
 });
 
@@ -179,13 +507,65 @@ function authenticateToken(req, res, next) {
         return res.status(401).json({ error: 'Access token required' });
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid token' });
-        }
-        req.user = user;
-        next();
-    });
+    verifyAccessToken(token)
+        .then(user => {
+            req.user = user;
+            next();
+        })
+        .catch(err => {
+            if (err instanceof jwt.JsonWebTokenError || err.name === 'TokenRevokedError') {
+                return res.status(401).json({ error: tokenErrorMessage(err) });
+            }
+            next(err);
+        });
+}
+
+// EventSource cannot send headers, so streaming routes also accept ?access_token=
+function allowQueryToken(req, res, next) {
+    if (!req.headers['authorization'] && req.query.access_token) {
+        req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+    }
+    next();
+}
+
+// Load a session and check it belongs to the authenticated user.
+// Sends the 404/403 response itself and returns null when access is denied.
+async function loadOwnedSession(req, res, sessionId) {
+    const session = await database.get(
+        'SELECT * FROM sessions WHERE id = ?',
+        [sessionId]
+    );
+
+    if (!session) {
+        res.status(404).json({ error: 'Session not found' });
+        return null;
+    }
+
+    if (session.user_id !== req.user.userId) {
+        res.status(403).json({ error: 'Access denied' });
+        return null;
+    }
+
+    return session;
+}
+
+// Reject /user/:userId style lookups for anyone but the authenticated user
+function ensureSameUser(req, res, userId) {
+    if (userId !== req.user.userId) {
+        res.status(403).json({ error: 'Access denied' });
+        return false;
+    }
+    return true;
 }
 
-module.exports = { router, authenticateToken };
+module.exports = {
+    router,
+    authenticateToken,
+    hashToken,
+    toSqlDate,
+    allowQueryToken,
+    loadOwnedSession,
+    ensureSameUser,
+    sendVerificationEmail,
+    revokeUserTokens
+};
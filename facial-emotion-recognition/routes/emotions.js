@@ -1,6 +1,8 @@
 const express = require('express');
 const Joi = require('joi');
 const database = require('../database/database');
+const emotionStream = require('../services/emotion-stream');
+const { loadOwnedSession, ensureSameUser } = require('./auth');
 
 const router = express.Router();
 
@@ -16,7 +18,12 @@ const emotionSchema = Joi.object({
     genderEstimate: Joi.string().valid('male', 'female').optional(),
     imageId: Joi.number().integer().optional(),
     processingTimeMs: Joi.number().integer().min(0).optional(),
-    rawData: Joi.object().optional()
+    rawData: Joi.object().optional(),
+    trackId: Joi.number().integer().min(1).optional()
+});
+
+const batchSchema = Joi.object({
+    emotions: Joi.array().min(1).max(500).required()
 });
 
 const querySchema = Joi.object({
@@ -28,6 +35,24 @@ const querySchema = Joi.object({
     emotionType: Joi.string().optional()
 });
 
+// Broadcast a stored detection to live stream subscribers
+function publishEmotion(emotionId, emotionData, userId, timestamp) {
+    emotionStream.publish({
+        id: emotionId,
+        sessionId: emotionData.sessionId,
+        userId: userId || null,
+        emotionType: emotionData.emotionType,
+        confidenceScore: emotionData.confidenceScore,
+        faceCoordinates: emotionData.faceCoordinates || null,
+        ageEstimate: emotionData.ageEstimate ?? null,
+        genderEstimate: emotionData.genderEstimate || null,
+        imageId: emotionData.imageId || null,
+        processingTimeMs: emotionData.processingTimeMs ?? null,
+        trackId: emotionData.trackId ?? null,
+        timestamp
+    });
+}
+
 // Create new emotion detection record
 router.post('/', async (req, res) => {
     try {
@@ -45,17 +70,29 @@ router.post('/', async (req, res) => {
             genderEstimate,
             imageId,
             processingTimeMs,
-            rawData
+            rawData,
+            trackId
         } = req.body;
 
-        // Verify session exists
-        const session = await database.get(
-            'SELECT id FROM sessions WHERE id = ?',
-            [sessionId]
-        );
-        
-        if (!session) {
-            return res.status(404).json({ error: 'Session not found' });
+        // Verify session exists and belongs to the caller
+        const session = await loadOwnedSession(req, res, sessionId);
+        if (!session) return;
+
+        // Verify the linked image exists and belongs to the same session
+        if (imageId) {
+            const image = await database.getImageById(imageId);
+
+            if (!image) {
+                return res.status(404).json({ error: 'Image not found' });
+            }
+
+            if (image.user_id !== req.user.userId) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+
+            if (image.session_id && image.session_id !== sessionId) {
+                return res.status(400).json({ error: 'Image belongs to a different session' });
+            }
         }
 
         // Create emotion record
@@ -63,12 +100,13 @@ router.post('/', async (req, res) => {
             sessionId,
             emotionType,
             confidenceScore,
-            faceCoordinates: JSON.stringify(faceCoordinates),
+            faceCoordinates,
             ageEstimate,
             genderEstimate,
             imageId,
-            processingTimeMs,
-            rawData: JSON.stringify(rawData)
+            processingTime: processingTimeMs,
+            rawData,
+            trackId
         });
 
         // Update session detection count
@@ -77,6 +115,9 @@ router.post('/', async (req, res) => {
             [sessionId]
         );
 
+        const timestamp = new Date().toISOString();
+        publishEmotion(result.lastID, req.body, session.user_id, timestamp);
+
         res.status(201).json({
             message: 'Emotion detection recorded successfully',
             emotionId: result.lastID,
@@ -85,7 +126,9 @@ router.post('/', async (req, res) => {
                 sessionId,
                 emotionType,
                 confidenceScore,
-                timestamp: new Date().toISOString()
+                imageId: imageId || null,
+                trackId: trackId ?? null,
+                timestamp
             }
         });
 
@@ -95,6 +138,117 @@ router.post('/', async (req, res) => {
     }
 });
 
+// Create many emotion detection records in one transaction
+router.post('/batch', async (req, res) => {
+    try {
+        const { error } = batchSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const errors = [];
+        const accepted = [];
+
+        req.body.emotions.forEach((item, index) => {
+            const { error: itemError } = emotionSchema.validate(item);
+            if (itemError) {
+                errors.push({ index, error: itemError.details[0].message });
+            } else {
+                accepted.push({ index, item });
+            }
+        });
+
+        // Look up every referenced session and image once
+        const sessionIds = [...new Set(accepted.map(({ item }) => item.sessionId))];
+        const imageIds = [...new Set(accepted.map(({ item }) => item.imageId).filter(Boolean))];
+
+        const sessions = sessionIds.length > 0
+            ? await database.all(
+                `SELECT id, user_id FROM sessions WHERE id IN (${sessionIds.map(() => '?').join(', ')})`,
+                sessionIds
+            )
+            : [];
+        const images = imageIds.length > 0
+            ? await database.all(
+                `SELECT id, session_id, user_id FROM images WHERE id IN (${imageIds.map(() => '?').join(', ')})`,
+                imageIds
+            )
+            : [];
+
+        const knownSessions = new Map(sessions.map(session => [session.id, session]));
+        const knownImages = new Map(images.map(image => [image.id, image]));
+
+        const valid = accepted.filter(({ index, item }) => {
+            if (!knownSessions.has(item.sessionId)) {
+                errors.push({ index, error: 'Session not found' });
+                return false;
+            }
+
+            if (knownSessions.get(item.sessionId).user_id !== req.user.userId) {
+                errors.push({ index, error: 'Access denied' });
+                return false;
+            }
+
+            if (item.imageId) {
+                const image = knownImages.get(item.imageId);
+                if (!image) {
+                    errors.push({ index, error: 'Image not found' });
+                    return false;
+                }
+                if (image.user_id !== req.user.userId) {
+                    errors.push({ index, error: 'Access denied' });
+                    return false;
+                }
+                if (image.session_id && image.session_id !== item.sessionId) {
+                    errors.push({ index, error: 'Image belongs to a different session' });
+                    return false;
+                }
+            }
+
+            return true;
+        });
+
+        errors.sort((a, b) => a.index - b.index);
+
+        if (valid.length === 0) {
+            return res.status(400).json({
+                error: 'No valid emotion records in batch',
+                inserted: 0,
+                errors
+            });
+        }
+
+        const ids = await database.createEmotionsBatch(valid.map(({ item }) => ({
+            sessionId: item.sessionId,
+            emotionType: item.emotionType,
+            confidenceScore: item.confidenceScore,
+            faceCoordinates: item.faceCoordinates,
+            ageEstimate: item.ageEstimate,
+            genderEstimate: item.genderEstimate,
+            imageId: item.imageId,
+            processingTime: item.processingTimeMs,
+            rawData: item.rawData,
+            trackId: item.trackId
+        })));
+
+        const timestamp = new Date().toISOString();
+        valid.forEach(({ item }, i) => {
+            publishEmotion(ids[i], item, knownSessions.get(item.sessionId).user_id, timestamp);
+        });
+
+        res.status(201).json({
+            message: 'Emotion detections recorded successfully',
+            inserted: ids.length,
+            results: valid.map(({ index }, i) => ({ index, emotionId: ids[i] })),
+            errors
+        });
+
+    } catch (error) {
+        console.error('Create emotion batch error:', error);
+        res.status(500).json({ error: 'Failed to record emotion detections' });
+    }
+});
+
 // Get emotions by session
 router.get('/session/:sessionId', async (req, res) => {
     try {
@@ -107,15 +261,9 @@ router.get('/session/:sessionId', async (req, res) => {
         const limit = parseInt(req.query.limit) || 50;
         const offset = parseInt(req.query.offset) || 0;
 
-        // Verify session exists
-        const session = await database.get(
-            'SELECT id FROM sessions WHERE id = ?',
-            [sessionId]
-        );
-        
-        if (!session) {
-            return res.status(404).json({ error: 'Session not found' });
-        }
+        // Verify session exists and belongs to the caller
+        const session = await loadOwnedSession(req, res, sessionId);
+        if (!session) return;
 
         const emotions = await database.getEmotionsBySession(sessionId, limit, offset);
 
@@ -134,20 +282,33 @@ router.get('/session/:sessionId', async (req, res) => {
     }
 });
 
+// Get every emotion of a session in one response, oldest first
+router.get('/session/:sessionId/all', async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.sessionId);
+
+        // Verify session exists and belongs to the caller
+        const session = await loadOwnedSession(req, res, sessionId);
+        if (!session) return;
+
+        const emotions = await database.getAllEmotionsBySession(sessionId);
+
+        res.json({ emotions });
+
+    } catch (error) {
+        console.error('Get all emotions by session error:', error);
+        res.status(500).json({ error: 'Failed to retrieve emotions' });
+    }
+});
+
 // Get emotion summary for a session
 router.get('/summary/session/:sessionId', async (req, res) => {
     try {
         const sessionId = parseInt(req.params.sessionId);
 
-        // Verify session exists
-        const session = await database.get(
-            'SELECT id FROM sessions WHERE id = ?',
-            [sessionId]
-        );
-        
-        if (!session) {
-            return res.status(404).json({ error: 'Session not found' });
-        }
+        // Verify session exists and belongs to the caller
+        const session = await loadOwnedSession(req, res, sessionId);
+        if (!session) return;
 
         const summary = await database.getEmotionSummary(sessionId);
 
@@ -171,6 +332,8 @@ router.get('/user/:userId', async (req, res) => {
         }
 
         const userId = parseInt(req.params.userId);
+        if (!ensureSameUser(req, res, userId)) return;
+
         const limit = parseInt(req.query.limit) || 50;
         const offset = parseInt(req.query.offset) || 0;
         const startDate = req.query.startDate;
@@ -224,7 +387,9 @@ router.get('/user/:userId', async (req, res) => {
 // Get emotion statistics
 router.get('/stats', async (req, res) => {
     try {
-        const { startDate, endDate, userId } = req.query;
+        const { startDate, endDate } = req.query;
+        const userId = req.query.userId ? parseInt(req.query.userId) : req.user.userId;
+        if (!ensureSameUser(req, res, userId)) return;
 
         let sql = `
             SELECT 
@@ -236,15 +401,10 @@ router.get('/stats', async (req, res) => {
                 COUNT(DISTINCT session_id) as unique_sessions
             FROM emotions e
             JOIN sessions s ON e.session_id = s.id
-            WHERE 1=1
+            WHERE s.user_id = ?
         `;
         
-        const params = [];
-
-        if (userId) {
-            sql += ' AND s.user_id = ?';
-            params.push(parseInt(userId));
-        }
+        const params = [userId];
 
         if (startDate) {
             sql += ' AND DATE(e.timestamp) >= ?';
@@ -263,7 +423,7 @@ router.get('/stats', async (req, res) => {
         res.json({
             stats,
             filters: {
-                userId: userId || null,
+                userId,
                 startDate: startDate || null,
                 endDate: endDate || null
             }
@@ -285,9 +445,10 @@ router.get('/realtime', async (req, res) => {
              FROM emotions e
              JOIN sessions s ON e.session_id = s.id
              JOIN users u ON s.user_id = u.id
+             WHERE s.user_id = ?
              ORDER BY e.timestamp DESC 
              LIMIT ?`,
-            [limit]
+            [req.user.userId, limit]
         );
 
         res.json({
@@ -308,7 +469,10 @@ router.delete('/:id', async (req, res) => {
 
         // Check if emotion exists
         const emotion = await database.get(
-            'SELECT id, session_id FROM emotions WHERE id = ?',
+            `SELECT e.id, e.session_id, s.user_id
+             FROM emotions e
+             JOIN sessions s ON e.session_id = s.id
+             WHERE e.id = ?`,
             [emotionId]
         );
 
@@ -316,6 +480,10 @@ router.delete('/:id', async (req, res) => {
             return res.status(404).json({ error: 'Emotion not found' });
         }
 
+        if (emotion.user_id !== req.user.userId) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
         // Delete emotion
         await database.run(
             'DELETE FROM emotions WHERE id = ?',
@@ -336,4 +504,7 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
-module.exports = router;
+module.exports = {
+    router,
+    emotionSchema
+};
@@ -0,0 +1,89 @@
+const express = require('express');
+const Joi = require('joi');
+const database = require('../database/database');
+const { loadOwnedSession, ensureSameUser } = require('./auth');
+const { FORMATS, flattenEmotion } = require('../services/emotion-export');
+
+const router = express.Router();
+
+// Validation schemas
+const exportQuerySchema = Joi.object({
+    format: Joi.string().valid(...Object.keys(FORMATS)).default('csv'),
+    userId: Joi.number().integer().optional(),
+    sessionId: Joi.number().integer().optional(),
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().optional()
+        .when('startDate', { is: Joi.exist(), then: Joi.date().min(Joi.ref('startDate')) }),
+    emotionType: Joi.string().valid(
+        'happy', 'sad', 'angry', 'surprised', 'fearful', 'disgusted', 'neutral'
+    ).optional()
+});
+
+// Dates filter whole days, like the other emotion endpoints
+function toDay(date) {
+    return date ? date.toISOString().slice(0, 10) : undefined;
+}
+
+// Resolves once the client has taken the buffered output, or has gone away
+function waitForDrain(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// Stream the caller's detections as CSV or NDJSON
+router.get('/', async (req, res) => {
+    try {
+        const { error, value } = exportQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { format, sessionId, startDate, endDate, emotionType } = value;
+        const userId = value.userId || req.user.userId;
+        if (!ensureSameUser(req, res, userId)) return;
+
+        if (sessionId) {
+            const session = await loadOwnedSession(req, res, sessionId);
+            if (!session) return;
+        }
+
+        const writer = FORMATS[format];
+        const rows = database.iterateEmotionsForExport({
+            userId,
+            sessionId,
+            startDate: toDay(startDate),
+            endDate: toDay(endDate),
+            emotionType
+        });
+
+        res.type(writer.contentType);
+        res.attachment(`emotions-${sessionId ? `session-${sessionId}` : `user-${userId}`}.${writer.extension}`);
+        res.write(writer.header());
+
+        for await (const row of rows) {
+            if (res.destroyed) break;
+            if (!res.write(writer.line(flattenEmotion(row)))) {
+                await waitForDrain(res);
+            }
+        }
+
+        res.end();
+    } catch (error) {
+        console.error('Export emotions error:', error);
+        if (res.headersSent) {
+            // Cut the download short so a partial export is not mistaken for a complete one
+            res.destroy(error);
+        } else {
+            res.status(500).json({ error: 'Failed to export emotions' });
+        }
+    }
+});
+
+module.exports = router;
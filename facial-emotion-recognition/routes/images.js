@@ -0,0 +1,173 @@
+const express = require('express');
+const Joi = require('joi');
+const database = require('../database/database');
+const { loadOwnedSession } = require('./auth');
+const {
+    uploadSingleImage,
+    toRelativePath,
+    processImage,
+    removeFiles
+} = require('../services/image-processor');
+
+const router = express.Router();
+
+// Validation schemas
+const imageSchema = Joi.object({
+    sessionId: Joi.number().integer().optional(),
+    faceCoordinates: Joi.object({
+        x: Joi.number().required(),
+        y: Joi.number().required(),
+        width: Joi.number().min(0).required(),
+        height: Joi.number().min(0).required()
+    }).optional()
+});
+
+// Multipart fields arrive as strings, so the face box is sent as JSON text.
+// Text that does not parse is passed on for Joi to reject.
+function parseJsonField(value) {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+function formatImage(image) {
+    return {
+        id: image.id,
+        sessionId: image.session_id,
+        filename: image.filename,
+        originalFilename: image.original_filename,
+        url: `/${image.file_path}`,
+        thumbnailUrl: image.thumbnail_path ? `/${image.thumbnail_path}` : null,
+        fileSize: image.file_size,
+        mimeType: image.mime_type,
+        width: image.width,
+        height: image.height,
+        processingStatus: image.processing_status,
+        isProcessed: Boolean(image.is_processed),
+        metadata: image.metadata ? JSON.parse(image.metadata) : null,
+        faceCoordinates: image.face_coordinates ? JSON.parse(image.face_coordinates) : null,
+        uploadTimestamp: image.upload_timestamp
+    };
+}
+
+// Upload an image
+router.post('/', uploadSingleImage('image'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No image file provided' });
+        }
+
+        const upload = toRelativePath(req.file.path);
+
+        const { error, value } = imageSchema.validate({
+            ...req.body,
+            faceCoordinates: parseJsonField(req.body.faceCoordinates)
+        });
+        if (error) {
+            await removeFiles([upload]);
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { sessionId, faceCoordinates } = value;
+
+        if (sessionId) {
+            const session = await loadOwnedSession(req, res, sessionId);
+            if (!session) {
+                await removeFiles([upload]);
+                return;
+            }
+        }
+
+        // The declared type is only a claim; anything sharp cannot decode is not kept
+        let processed;
+        try {
+            processed = await processImage(req.file.path);
+        } catch (processingError) {
+            console.error('Image processing error:', processingError);
+            await removeFiles([upload]);
+            return res.status(400).json({ error: 'Could not read the uploaded image' });
+        }
+
+        const result = await database.createImage({
+            userId: req.user.userId,
+            sessionId,
+            filename: req.file.filename,
+            originalFilename: req.file.originalname,
+            filePath: upload,
+            fileSize: req.file.size,
+            mimeType: req.file.mimetype,
+            faceCoordinates
+        });
+        await database.updateImageProcessing(result.lastID, {
+            status: 'processed',
+            ...processed
+        });
+
+        const image = await database.getImageById(result.lastID);
+
+        res.status(201).json({
+            message: 'Image uploaded successfully',
+            image: formatImage(image)
+        });
+
+    } catch (error) {
+        console.error('Upload image error:', error);
+        res.status(500).json({ error: 'Failed to upload image' });
+    }
+});
+
+// List the images captured during a session
+router.get('/session/:sessionId', async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.sessionId);
+
+        const session = await loadOwnedSession(req, res, sessionId);
+        if (!session) return;
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const images = await database.getImagesBySession(sessionId, limit, offset);
+
+        res.json({
+            images: images.map(formatImage),
+            pagination: {
+                limit,
+                offset,
+                total: images.length
+            }
+        });
+    } catch (error) {
+        console.error('Get session images error:', error);
+        res.status(500).json({ error: 'Failed to retrieve images' });
+    }
+});
+
+// Get image by ID
+router.get('/:id', async (req, res) => {
+    try {
+        const imageId = parseInt(req.params.id);
+
+        const image = await database.getImageById(imageId);
+
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        if (image.user_id !== req.user.userId) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        res.json({
+            image: formatImage(image)
+        });
+    } catch (error) {
+        console.error('Get image error:', error);
+        res.status(500).json({ error: 'Failed to retrieve image' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+const express = require('express');
+const database = require('../database/database');
+const { toSqlDate } = require('./auth');
+const { emotionSchema } = require('./emotions');
+const { sessionSchema } = require('./sessions');
+const { ImportFormatError, readImport } = require('../services/emotion-import');
+const {
+    saveDataUrlImage,
+    toRelativePath,
+    processImage,
+    removeFiles
+} = require('../services/image-processor');
+
+const router = express.Router();
+
+// JSON bodies are parsed by the app; exports arrive as text
+const parseExportText = express.text({ type: ['text/csv', 'application/x-ndjson'], limit: '50mb' });
+
+// Same key getEmotionImportKeys reads back for stored rows
+function importKey(entry) {
+    const { rawData, trackId } = entry.detection;
+    const time = (rawData && rawData.capturedAt) || toSqlDate(entry.timestamp);
+    return `${time}|${trackId ?? ''}`;
+}
+
+// Validate an entry with the schema POST /api/emotions uses. The session id is not
+// known until the session is resolved, so a placeholder stands in for it.
+function validateEntry(entry) {
+    if (entry.error) return entry.error;
+    if (!entry.timestamp) return 'Missing or invalid timestamp';
+
+    const { error, value } = emotionSchema.validate({ ...entry.detection, sessionId: 0 });
+    if (error) return error.details[0].message;
+
+    entry.detection = value;
+    return null;
+}
+
+// Reuse the user's session with the same name so importing a file twice only adds what is new
+async function resolveSession(userId, sessionName, entries) {
+    const existing = await database.findUserSessionByName(userId, sessionName);
+    if (existing) {
+        return { id: existing.id, created: false };
+    }
+
+    const startTime = entries.reduce((first, entry) => entry.timestamp < first ? entry.timestamp : first, entries[0].timestamp);
+    const result = await database.createSession({
+        userId,
+        sessionName,
+        deviceInfo: 'Imported',
+        startTime: toSqlDate(startTime)
+    });
+    return { id: result.lastID, created: true };
+}
+
+// Stores a capture's image the way POST /api/images does. Returns the image id,
+// or null when the capture is already in the session.
+async function importCaptureImage(userId, sessionId, entry) {
+    const originalFilename = `capture-${entry.timestamp.getTime()}`;
+    if (await database.findSessionImageByOriginalName(sessionId, originalFilename)) {
+        return null;
+    }
+
+    const file = await saveDataUrlImage(entry.image);
+
+    let processed;
+    try {
+        processed = await processImage(file.path);
+    } catch (processingError) {
+        await removeFiles([toRelativePath(file.path)]);
+        throw new Error('Could not read the captured image');
+    }
+
+    const result = await database.createImage({
+        userId,
+        sessionId,
+        filename: file.filename,
+        originalFilename,
+        filePath: toRelativePath(file.path),
+        fileSize: file.size,
+        mimeType: file.mimetype
+    });
+    await database.updateImageProcessing(result.lastID, {
+        status: 'processed',
+        ...processed
+    });
+    return result.lastID;
+}
+
+async function importSession(userId, sessionName, entries, skipped) {
+    const { error } = sessionSchema.validate({ sessionName });
+    if (error) {
+        entries.forEach(({ kind, index }) => skipped.push({ source: kind, index, error: error.details[0].message }));
+        return null;
+    }
+
+    const session = await resolveSession(userId, sessionName, entries);
+    // Only rows stored before this import count as duplicates; the file itself may
+    // hold several detections with the same key
+    const stored = new Set(await database.getEmotionImportKeys(session.id));
+    const rows = [];
+    let images = 0;
+    let duplicates = 0;
+
+    for (const entry of entries) {
+        if (stored.has(importKey(entry))) {
+            duplicates++;
+            skipped.push({ source: entry.kind, index: entry.index, error: 'Already imported' });
+            continue;
+        }
+
+        let imageId;
+        if (entry.kind === 'capture') {
+            try {
+                imageId = await importCaptureImage(userId, session.id, entry);
+            } catch (imageError) {
+                skipped.push({ source: entry.kind, index: entry.index, error: imageError.message });
+                continue;
+            }
+            if (imageId === null) {
+                duplicates++;
+                skipped.push({ source: entry.kind, index: entry.index, error: 'Already imported' });
+                continue;
+            }
+            images++;
+        }
+
+        const { detection } = entry;
+        rows.push({
+            sessionId: session.id,
+            emotionType: detection.emotionType,
+            confidenceScore: detection.confidenceScore,
+            faceCoordinates: detection.faceCoordinates,
+            ageEstimate: detection.ageEstimate,
+            genderEstimate: detection.genderEstimate,
+            imageId,
+            processingTime: detection.processingTimeMs,
+            rawData: detection.rawData,
+            trackId: detection.trackId,
+            timestamp: toSqlDate(entry.timestamp)
+        });
+    }
+
+    if (rows.length > 0) {
+        await database.createEmotionsBatch(rows);
+    }
+    if (session.created) {
+        await database.completeImportedSession(session.id);
+    }
+
+    return {
+        sessionId: session.id,
+        sessionName,
+        created: session.created,
+        emotions: rows.length,
+        images,
+        duplicates
+    };
+}
+
+// Import an export file or the browser's localStorage history into the caller's account
+router.post('/', parseExportText, async (req, res) => {
+    try {
+        const { format, entries } = readImport(req);
+        const skipped = [];
+        const groups = new Map();
+
+        entries.forEach(entry => {
+            const error = validateEntry(entry);
+            if (error) {
+                skipped.push({ source: entry.kind, index: entry.index, error });
+                return;
+            }
+
+            // Source session ids are remapped onto sessions of the importing user
+            if (!groups.has(entry.sessionKey)) {
+                groups.set(entry.sessionKey, { sessionName: entry.sessionName, entries: [] });
+            }
+            groups.get(entry.sessionKey).entries.push(entry);
+        });
+
+        const sessions = [];
+        for (const { sessionName, entries: sessionEntries } of groups.values()) {
+            const summary = await importSession(req.user.userId, sessionName, sessionEntries, skipped);
+            if (summary) sessions.push(summary);
+        }
+
+        skipped.sort((a, b) => a.source.localeCompare(b.source) || a.index - b.index);
+
+        res.json({
+            message: 'Import finished',
+            format,
+            imported: {
+                sessions: sessions.filter(session => session.created).length,
+                emotions: sessions.reduce((total, session) => total + session.emotions, 0),
+                images: sessions.reduce((total, session) => total + session.images, 0)
+            },
+            sessions,
+            skipped
+        });
+    } catch (error) {
+        if (error instanceof ImportFormatError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Import error:', error);
+        res.status(500).json({ error: 'Failed to import data' });
+    }
+});
+
+module.exports = router;
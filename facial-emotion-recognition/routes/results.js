@@ -0,0 +1,135 @@
+const express = require('express');
+const crypto = require('crypto');
+const Joi = require('joi');
+const database = require('../database/database');
+const { authenticateToken, loadOwnedSession, hashToken, toSqlDate } = require('./auth');
+
+const router = express.Router();
+
+const EMOTIONS = ['happy', 'sad', 'angry', 'surprised', 'fearful', 'disgusted', 'neutral'];
+const probability = Joi.number().min(0).max(1);
+
+// Validation schemas
+const resultSchema = Joi.object({
+    sessionId: Joi.number().integer().optional(),
+    emotionType: Joi.string().valid(...EMOTIONS).required(),
+    confidenceScore: probability.required(),
+    expressions: Joi.object(
+        Object.fromEntries(EMOTIONS.map(emotion => [emotion, probability.required()]))
+    ).required(),
+    metadata: Joi.object().optional(),
+    expiresInDays: Joi.number().integer().min(1).max(365).optional()
+});
+
+const tokenSchema = Joi.string().pattern(/^[A-Za-z0-9_-]{32}$/).required();
+
+// Shared results are public, so the owner and internal ids stay out of the response
+function formatResult(result) {
+    return {
+        emotionType: result.emotion_type,
+        confidenceScore: result.confidence_score,
+        expressions: JSON.parse(result.expressions),
+        metadata: result.metadata ? JSON.parse(result.metadata) : null,
+        createdAt: result.created_at,
+        expiresAt: result.expires_at
+    };
+}
+
+function isExpired(result) {
+    return Boolean(result.expires_at) && new Date(`${result.expires_at}Z`) <= new Date();
+}
+
+// Create a shareable result; the token is only ever returned here
+router.post('/', authenticateToken, async (req, res) => {
+    try {
+        const { error } = resultSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { sessionId, emotionType, confidenceScore, expressions, metadata, expiresInDays } = req.body;
+
+        if (sessionId) {
+            const session = await loadOwnedSession(req, res, sessionId);
+            if (!session) return;
+        }
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        const expiresAt = expiresInDays
+            ? toSqlDate(new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000))
+            : null;
+
+        await database.createResult({
+            userId: req.user.userId,
+            sessionId,
+            tokenHash: hashToken(token),
+            emotionType,
+            confidenceScore,
+            expressions,
+            metadata,
+            expiresAt
+        });
+
+        res.status(201).json({
+            message: 'Result created successfully',
+            token,
+            shareUrl: `/result.html?token=${token}`,
+            expiresAt
+        });
+
+    } catch (error) {
+        console.error('Create result error:', error);
+        res.status(500).json({ error: 'Failed to create result' });
+    }
+});
+
+// Get a shared result, no sign-in needed
+router.get('/:token', async (req, res) => {
+    try {
+        const { error } = tokenSchema.validate(req.params.token);
+        if (error) {
+            return res.status(404).json({ error: 'Result not found' });
+        }
+
+        const result = await database.findResultByTokenHash(hashToken(req.params.token));
+
+        if (!result) {
+            return res.status(404).json({ error: 'Result not found' });
+        }
+
+        if (isExpired(result)) {
+            return res.status(410).json({ error: 'This shared result has expired' });
+        }
+
+        res.json({
+            result: formatResult(result)
+        });
+    } catch (error) {
+        console.error('Get result error:', error);
+        res.status(500).json({ error: 'Failed to retrieve result' });
+    }
+});
+
+// Revoke a shared result
+router.delete('/:token', authenticateToken, async (req, res) => {
+    try {
+        const result = await database.findResultByTokenHash(hashToken(req.params.token));
+
+        if (!result) {
+            return res.status(404).json({ error: 'Result not found' });
+        }
+
+        if (result.user_id !== req.user.userId) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        await database.deleteResult(result.id);
+
+        res.json({ message: 'Result deleted successfully' });
+    } catch (error) {
+        console.error('Delete result error:', error);
+        res.status(500).json({ error: 'Failed to delete result' });
+    }
+});
+
+module.exports = router;
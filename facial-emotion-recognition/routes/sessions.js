@@ -1,6 +1,10 @@
 const express = require('express');
 const Joi = require('joi');
 const database = require('../database/database');
+const { loadOwnedSession, ensureSameUser } = require('./auth');
+const { removeImageFiles } = require('../services/image-processor');
+const { buildSessionReport } = require('../services/session-report');
+const { renderReportPdf } = require('../services/report-pdf');
 
 const router = express.Router();
 
@@ -12,6 +16,49 @@ const sessionSchema = Joi.object({
     location: Joi.string().max(255).optional()
 });
 
+// Only the fields sent are changed, so a rename keeps the device info
+const sessionUpdateSchema = Joi.object({
+    sessionName: Joi.string().min(3).max(100).optional(),
+    deviceInfo: Joi.string().max(500).optional(),
+    ipAddress: Joi.string().max(45).optional(),
+    location: Joi.string().max(255).optional()
+}).min(1);
+
+const listQuerySchema = Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    offset: Joi.number().integer().min(0).default(0),
+    search: Joi.string().trim().max(100).allow('').default('')
+});
+
+const ratio = Joi.number().min(0).max(1);
+
+// Metrics the client computed over the whole session. totalDetections is still
+// accepted from older clients but ignored: the server counts the detections it stored.
+const endSessionSchema = Joi.object({
+    endTime: Joi.date().iso().optional(),
+    duration: Joi.number().integer().min(0).optional(),
+    totalDetections: Joi.number().integer().min(0).optional(),
+    accuracy: ratio.optional(),
+    metrics: Joi.object({
+        frameCount: Joi.number().integer().min(0).required(),
+        meanDetectionScore: ratio.allow(null).required(),
+        facePresentRatio: ratio.allow(null).required(),
+        avgProcessingMs: Joi.number().min(0).allow(null).required(),
+        emotionDistribution: Joi.object().pattern(Joi.string().max(20), ratio).max(10).required()
+    }).optional()
+});
+
+// emotion_distribution is stored as JSON text
+function formatSession(session) {
+    let emotionDistribution = null;
+    try {
+        emotionDistribution = session.emotion_distribution ? JSON.parse(session.emotion_distribution) : null;
+    } catch (error) {
+        console.warn(`Invalid emotion_distribution on session ${session.id}`);
+    }
+    return { ...session, emotion_distribution: emotionDistribution };
+}
+
 // Create new session
 router.post('/', async (req, res) => {
     try {
@@ -23,6 +70,7 @@ router.post('/', async (req, res) => {
         const { sessionName, deviceInfo, ipAddress, location } = req.body;
 
         const result = await database.createSession({
+            userId: req.user.userId,
             sessionName,
             deviceInfo,
             ipAddress,
@@ -33,6 +81,7 @@ router.post('/', async (req, res) => {
             message: 'Session created successfully',
             session: {
                 id: result.lastID,
+                userId: req.user.userId,
                 sessionName,
                 deviceInfo,
                 ipAddress,
@@ -46,15 +95,16 @@ router.post('/', async (req, res) => {
     }
 });
 
-// Get all sessions
+// Get all sessions of the authenticated user
 router.get('/', async (req, res) => {
     try {
-        const sessions = await database.get(
-            'SELECT * FROM sessions ORDER BY start_time DESC'
+        const sessions = await database.all(
+            'SELECT * FROM sessions WHERE user_id = ? ORDER BY start_time DESC',
+            [req.user.userId]
         );
 
         res.json({
-            sessions
+            sessions: sessions.map(formatSession)
         });
     } catch (error) {
         console.error('Get sessions error:', error);
@@ -67,17 +117,11 @@ router.get('/:id', async (req, res) => {
     try {
         const sessionId = parseInt(req.params.id);
 
-        const session = await database.get(
-            'SELECT * FROM sessions WHERE id = ?',
-            [sessionId]
-        );
-
-        if (!session) {
-            return res.status(404).json({ error: 'Session not found' });
-        }
+        const session = await loadOwnedSession(req, res, sessionId);
+        if (!session) return;
 
         res.json({
-            session
+            session: formatSession(session)
         });
     } catch (error) {
         console.error('Get session error:', error);
@@ -85,23 +129,74 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// Get the report data result.html renders for a session
+router.get('/:id/report', async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.id);
+
+        const session = await loadOwnedSession(req, res, sessionId);
+        if (!session) return;
+
+        const report = await buildSessionReport(formatSession(session));
+        if (!report) {
+            return res.status(404).json({ error: 'No emotions were recorded in this session' });
+        }
+
+        res.json({ report });
+    } catch (error) {
+        console.error('Get session report error:', error);
+        res.status(500).json({ error: 'Failed to build session report' });
+    }
+});
+
+// Download the same report as a PDF
+router.get('/:id/report.pdf', async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.id);
+
+        const session = await loadOwnedSession(req, res, sessionId);
+        if (!session) return;
+
+        const report = await buildSessionReport(formatSession(session));
+        if (!report) {
+            return res.status(404).json({ error: 'No emotions were recorded in this session' });
+        }
+
+        res.type('application/pdf');
+        res.attachment(`emotion-report-session-${sessionId}.pdf`);
+        await renderReportPdf(report, res);
+    } catch (error) {
+        console.error('Render session report error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to render session report' });
+        }
+    }
+});
+
 // Update session
 router.put('/:id', async (req, res) => {
     try {
-        const { error } = sessionSchema.validate(req.body);
+        const { error } = sessionUpdateSchema.validate(req.body);
         if (error) {
             return res.status(400).json({ error: error.details[0].message });
         }
 
+        const sessionId = parseInt(req.params.id);
+
+        const session = await loadOwnedSession(req, res, sessionId);
+        if (!session) return;
+
         const { sessionName, deviceInfo, ipAddress, location } = req.body;
 
-        const result = await database.run(
-            'UPDATE sessions SET session_name = ?, device_info = ?, ip_address = ?, location = ? WHERE id = ?',
-            [sessionName, deviceInfo, ipAddress, location, req.params.id]
+        await database.run(
+            `UPDATE sessions SET session_name = COALESCE(?, session_name), device_info = COALESCE(?, device_info),
+                ip_address = COALESCE(?, ip_address), location = COALESCE(?, location) WHERE id = ?`,
+            [sessionName, deviceInfo, ipAddress, location, sessionId]
         );
 
         res.json({
-            message: 'Session updated successfully'
+            message: 'Session updated successfully',
+            session: formatSession(await database.get('SELECT * FROM sessions WHERE id = ?', [sessionId]))
         });
     } catch (error) {
         console.error('Update session error:', error);
@@ -112,12 +207,24 @@ router.put('/:id', async (req, res) => {
 // Delete session
 router.delete('/:id', async (req, res) => {
     try {
-        const result = await database.run(
-            'DELETE FROM sessions WHERE id = ?',
-            [req.params.id]
-        );
+        const sessionId = parseInt(req.params.id);
+
+        const session = await loadOwnedSession(req, res, sessionId);
+        if (!session) return;
 
-        res.json({ message: 'Session deleted successfully' });
+        const images = await database.deleteSession(sessionId);
+
+        // Rows are gone at this point; a leftover file is logged rather than failing the request
+        try {
+            await Promise.all(images.map(image => removeImageFiles(image)));
+        } catch (fileError) {
+            console.error('Session file cleanup error:', fileError);
+        }
+
+        res.json({
+            message: 'Session deleted successfully',
+            deletedImages: images.length
+        });
     } catch (error) {
         console.error('Delete session error:', error);
         res.status(500).json({ error: 'Failed to delete session' });
@@ -128,20 +235,26 @@ router.delete('/:id', async (req, res) => {
 router.get('/user/:userId', async (req, res) => {
     try {
         const userId = parseInt(req.params.userId);
-        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
-        const offset = parseInt(req.query.offset) || 0;
+        if (!ensureSameUser(req, res, userId)) return;
 
-        const sessions = await database.all(
-            'SELECT * FROM sessions WHERE user_id = ? ORDER BY start_time DESC LIMIT ? OFFSET ?',
-            [userId, limit, offset]
-        );
+        const { error, value } = listQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const { limit, offset, search } = value;
+
+        const [sessions, total] = await Promise.all([
+            database.getUserSessions(userId, limit, offset, search),
+            database.countUserSessions(userId, search)
+        ]);
 
         res.json({
-            sessions,
+            sessions: sessions.map(formatSession),
             pagination: {
                 limit,
                 offset,
-                total: sessions.length
+                total
             }
         });
     } catch (error) {
@@ -153,12 +266,25 @@ router.get('/user/:userId', async (req, res) => {
 // End session
 router.put('/:id/end', async (req, res) => {
     try {
+        const { error } = endSessionSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
         const sessionId = parseInt(req.params.id);
-        const { endTime, duration, totalDetections, accuracy } = req.body;
+        const { endTime, duration, accuracy, metrics } = req.body;
+
+        const session = await loadOwnedSession(req, res, sessionId);
+        if (!session) return;
 
-        const result = await database.run(
-            'UPDATE sessions SET end_time = ?, duration_seconds = ?, total_detections = ?, accuracy_score = ? WHERE id = ?',
-            [endTime, duration, totalDetections, accuracy, sessionId]
+        await database.updateSessionEnd(
+            sessionId,
+            endTime || new Date().toISOString(),
+            duration,
+            session.total_detections,
+            // accuracy_score holds the mean detection score; a bare accuracy is still accepted
+            metrics ? metrics.meanDetectionScore : accuracy,
+            metrics
         );
 
         res.json({ message: 'Session ended successfully' });
@@ -168,4 +294,7 @@ router.put('/:id/end', async (req, res) => {
     }
 });
 
-module.exports = router;
+module.exports = {
+    router,
+    sessionSchema
+};
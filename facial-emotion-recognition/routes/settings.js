@@ -0,0 +1,114 @@
+const express = require('express');
+const Joi = require('joi');
+const database = require('../database/database');
+
+const router = express.Router();
+
+// Settings users may store, with their type, validation and default value.
+// Anything not listed here is rejected.
+const SETTINGS = {
+    sensitivity: {
+        dataType: 'number',
+        schema: Joi.number().min(0.5).max(0.95),
+        defaultValue: 0.75
+    },
+    theme: {
+        dataType: 'string',
+        schema: Joi.string().valid('light', 'dark'),
+        defaultValue: 'light'
+    },
+    autoSave: {
+        dataType: 'boolean',
+        schema: Joi.boolean(),
+        defaultValue: true
+    },
+    showAgeGender: {
+        dataType: 'boolean',
+        schema: Joi.boolean(),
+        defaultValue: false
+    }
+};
+
+// Validation schemas
+const settingsSchema = Joi.object(
+    Object.fromEntries(Object.entries(SETTINGS).map(([key, setting]) => [key, setting.schema]))
+).min(1);
+
+// Turn a stored TEXT value back into its declared type
+function coerceValue(value, dataType) {
+    switch (dataType) {
+        case 'number':
+            return Number(value);
+        case 'boolean':
+            return value === 'true' || value === '1';
+        case 'json':
+            return JSON.parse(value);
+        default:
+            return value;
+    }
+}
+
+function serializeValue(value, dataType) {
+    return dataType === 'json' ? JSON.stringify(value) : String(value);
+}
+
+// Defaults overlaid with whatever the user has stored
+async function loadSettings(userId) {
+    const rows = await database.getUserSettings(userId);
+    const settings = Object.fromEntries(
+        Object.entries(SETTINGS).map(([key, setting]) => [key, setting.defaultValue])
+    );
+
+    for (const row of rows) {
+        if (SETTINGS[row.setting_key]) {
+            settings[row.setting_key] = coerceValue(row.setting_value, row.data_type);
+        }
+    }
+
+    return settings;
+}
+
+// Get the authenticated user's settings
+router.get('/', async (req, res) => {
+    try {
+        const settings = await loadSettings(req.user.userId);
+
+        res.json({ settings });
+    } catch (error) {
+        console.error('Get settings error:', error);
+        res.status(500).json({ error: 'Failed to retrieve settings' });
+    }
+});
+
+// Update some or all settings
+router.put('/', async (req, res) => {
+    try {
+        // Joi converts "0.8" and "true" to their declared types
+        const { error, value } = settingsSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        await database.saveUserSettings(
+            req.user.userId,
+            Object.entries(value).map(([key, settingValue]) => ({
+                key,
+                value: serializeValue(settingValue, SETTINGS[key].dataType),
+                dataType: SETTINGS[key].dataType
+            }))
+        );
+
+        const settings = await loadSettings(req.user.userId);
+
+        res.json({
+            message: 'Settings updated successfully',
+            settings
+        });
+
+    } catch (error) {
+        console.error('Update settings error:', error);
+        res.status(500).json({ error: 'Failed to update settings' });
+    }
+});
+
+module.exports = router;
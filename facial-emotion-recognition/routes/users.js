@@ -0,0 +1,277 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const Joi = require('joi');
+const database = require('../database/database');
+const { sendVerificationEmail, revokeUserTokens } = require('./auth');
+const emotionStream = require('../services/emotion-stream');
+const {
+    uploadSingleImage,
+    processAvatar,
+    removeFiles,
+    removeImageFiles,
+    toRelativePath
+} = require('../services/image-processor');
+
+const router = express.Router();
+
+// Validation schemas
+const profileSchema = Joi.object({
+    username: Joi.string().alphanum().min(3).max(30).optional(),
+    email: Joi.string().email().optional(),
+    fullName: Joi.string().min(2).max(100).allow(null).optional()
+}).min(1);
+
+const passwordChangeSchema = Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: Joi.string().min(6).required()
+});
+
+const confirmPasswordSchema = Joi.object({
+    password: Joi.string().required()
+});
+
+function formatUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        fullName: user.full_name,
+        avatarUrl: user.avatar_url,
+        emailVerified: Boolean(user.email_verified),
+        isActive: Boolean(user.is_active),
+        createdAt: user.created_at,
+        updatedAt: user.updated_at,
+        lastLogin: user.last_login
+    };
+}
+
+// Avatar URLs point at the /uploads static route; strip the slash to get the stored path
+function avatarFile(user) {
+    return user.avatar_url && user.avatar_url.startsWith('/uploads/')
+        ? user.avatar_url.slice(1)
+        : null;
+}
+
+// Load the authenticated user, answering 404 when the account is gone
+async function loadCurrentUser(req, res) {
+    const user = await database.findUserById(req.user.userId);
+
+    if (!user) {
+        res.status(404).json({ error: 'User not found' });
+        return null;
+    }
+
+    return user;
+}
+
+// Confirm the password before destructive account changes
+async function checkPassword(req, res, user) {
+    const { error } = confirmPasswordSchema.validate(req.body);
+    if (error) {
+        res.status(400).json({ error: error.details[0].message });
+        return false;
+    }
+
+    if (!(await bcrypt.compare(req.body.password, user.password_hash))) {
+        res.status(401).json({ error: 'Invalid password' });
+        return false;
+    }
+
+    return true;
+}
+
+// Get the authenticated user's profile
+router.get('/me', async (req, res) => {
+    try {
+        const user = await loadCurrentUser(req, res);
+        if (!user) return;
+
+        res.json({ user: formatUser(user) });
+    } catch (error) {
+        console.error('Get profile error:', error);
+        res.status(500).json({ error: 'Failed to retrieve profile' });
+    }
+});
+
+// Update username, email or full name
+router.patch('/me', async (req, res) => {
+    try {
+        const { error } = profileSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const user = await loadCurrentUser(req, res);
+        if (!user) return;
+
+        const { username, email, fullName } = req.body;
+        const emailChanged = email !== undefined && email !== user.email;
+
+        if (username !== undefined && username !== user.username) {
+            const existingUsername = await database.get(
+                'SELECT id FROM users WHERE username = ? AND id != ?',
+                [username, user.id]
+            );
+            if (existingUsername) {
+                return res.status(409).json({ error: 'Username already taken' });
+            }
+        }
+
+        if (emailChanged) {
+            const existingEmail = await database.get(
+                'SELECT id FROM users WHERE email = ? AND id != ?',
+                [email, user.id]
+            );
+            if (existingEmail) {
+                return res.status(409).json({ error: 'User already exists with this email' });
+            }
+        }
+
+        await database.updateUserProfile(user.id, {
+            username,
+            email,
+            fullName,
+            // A new address has to be verified again
+            emailVerified: emailChanged ? 0 : undefined
+        });
+
+        const updated = await database.findUserById(user.id);
+
+        if (emailChanged) {
+            try {
+                await sendVerificationEmail(updated);
+            } catch (mailError) {
+                console.error('Verification email error:', mailError);
+            }
+        }
+
+        res.json({
+            message: 'Profile updated successfully',
+            user: formatUser(updated)
+        });
+
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({ error: 'Failed to update profile' });
+    }
+});
+
+// Change password; other devices are signed out
+router.put('/me/password', async (req, res) => {
+    try {
+        const { error } = passwordChangeSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
+
+        const user = await loadCurrentUser(req, res);
+        if (!user) return;
+
+        const { currentPassword, newPassword } = req.body;
+
+        const isValidPassword = await bcrypt.compare(currentPassword, user.password_hash);
+        if (!isValidPassword) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+
+        const saltRounds = 10;
+        const passwordHash = await bcrypt.hash(newPassword, saltRounds);
+
+        await database.updatePassword(user.id, passwordHash);
+        await database.revokeOtherTokenFamilies(user.id, req.user.fid);
+
+        res.json({ message: 'Password changed successfully' });
+
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+// Upload a new avatar
+router.post('/me/avatar', uploadSingleImage('avatar'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No image file provided' });
+        }
+
+        const user = await loadCurrentUser(req, res);
+        if (!user) {
+            await removeFiles([toRelativePath(req.file.path)]);
+            return;
+        }
+
+        let avatarPath;
+        try {
+            avatarPath = await processAvatar(req.file.path);
+        } catch (processingError) {
+            console.error('Avatar processing error:', processingError);
+            return res.status(400).json({ error: 'Could not read the uploaded image' });
+        }
+
+        const previousAvatar = avatarFile(user);
+
+        await database.updateUserProfile(user.id, { avatarUrl: `/${avatarPath}` });
+        await removeFiles([previousAvatar]);
+
+        res.json({
+            message: 'Avatar updated successfully',
+            avatarUrl: `/${avatarPath}`
+        });
+
+    } catch (error) {
+        console.error('Upload avatar error:', error);
+        res.status(500).json({ error: 'Failed to upload avatar' });
+    }
+});
+
+// Deactivate the account; the data is kept but the user can no longer sign in
+router.post('/me/deactivate', async (req, res) => {
+    try {
+        const user = await loadCurrentUser(req, res);
+        if (!user) return;
+
+        if (!(await checkPassword(req, res, user))) return;
+
+        await database.deactivateUser(user.id);
+        await revokeUserTokens(user.id);
+
+        res.json({ message: 'Account deactivated successfully' });
+
+    } catch (error) {
+        console.error('Deactivate account error:', error);
+        res.status(500).json({ error: 'Failed to deactivate account' });
+    }
+});
+
+// Delete the account with its sessions, emotions, images and files
+router.delete('/me', async (req, res) => {
+    try {
+        const user = await loadCurrentUser(req, res);
+        if (!user) return;
+
+        if (!(await checkPassword(req, res, user))) return;
+
+        const images = await database.deleteUserAccount(user.id);
+        emotionStream.closeUser(user.id);
+
+        // Rows are gone at this point; a leftover file is logged rather than failing the request
+        try {
+            await Promise.all(images.map(image => removeImageFiles(image)));
+            await removeFiles([avatarFile(user)]);
+        } catch (fileError) {
+            console.error('Account file cleanup error:', fileError);
+        }
+
+        res.json({
+            message: 'Account deleted successfully',
+            deletedImages: images.length
+        });
+
+    } catch (error) {
+        console.error('Delete account error:', error);
+        res.status(500).json({ error: 'Failed to delete account' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,249 @@
+// Builds the self-hosted asset bundle so the app never has to contact a CDN:
+// - copies face-api, Chart.js, Font Awesome and Inter from node_modules into vendor/
+// - copies the face-api model weights into models/, checking each against MODEL_DIGESTS
+// - writes assets-manifest.json with a SHA-256 hash for every file
+// - writes precache-manifest.js, the versioned list of files sw.js precaches
+//
+// Rerun after changing the app shell (HTML, styles.css, js/) so the service worker
+// picks up a new version and offers the update to open tabs.
+//
+// Usage: node scripts/build-assets.js [--verify]
+//   --verify  check existing files against assets-manifest.json, change nothing
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const NODE_MODULES_DIR = path.join(ROOT_DIR, 'node_modules');
+const MODELS_DIR = path.join(ROOT_DIR, 'models');
+const VENDOR_DIR = path.join(ROOT_DIR, 'vendor');
+const MANIFEST_PATH = path.join(ROOT_DIR, 'assets-manifest.json');
+const PRECACHE_MANIFEST_PATH = path.join(ROOT_DIR, 'precache-manifest.js');
+
+// Precached by the service worker alongside the models and vendor scripts/styles
+const APP_SHELL = ['index.html', 'result.html', 'history.html', 'reset-password.html', 'styles.css'];
+
+// The face-api.js weights as republished in @vladmandic/face-api, which package.json pins
+// to an exact version. Each model's shards are merged into one .bin; face-api.js 0.22.2
+// loads them unchanged.
+const MODEL_PACKAGE_DIR = path.join(NODE_MODULES_DIR, '@vladmandic', 'face-api', 'model');
+
+const MODELS = [
+    'tiny_face_detector_model',
+    'face_landmark_68_model',
+    'face_expression_model',
+    'age_gender_model'
+];
+
+// Expected SHA-256 of every model file. A different package version or a tampered
+// install fails the build instead of being hashed into assets-manifest.json.
+const MODEL_DIGESTS = {
+    'tiny_face_detector_model-weights_manifest.json': 'sha256-XRr0hJrEjVuYX0qbFgEMUSNT3db8xj1Q/QvJ6eZCluU=',
+    'tiny_face_detector_model.bin': 'sha256-t1A8598xA5scQzFqm4Zcq2pw3XSMxgLT+ii1UVA8OHE=',
+    'face_landmark_68_model-weights_manifest.json': 'sha256-ykiGY5+G6Zs5/tDBVfgbYzFyJXc72WFnFuiHsBUzick=',
+    'face_landmark_68_model.bin': 'sha256-RhHvZch9g20D1oSzDuxNGV2LIZ+h3Vj8WJRYMca5KZs=',
+    'face_expression_model-weights_manifest.json': 'sha256-WzScF8eDbaUG4DQizWRhx0CF2LsnE61BFGR9xdKBdMg=',
+    'face_expression_model.bin': 'sha256-mphA8s8fTH6rlfGXUSVpNFwA0kJnVNRgi5KvMOAwDz0=',
+    'age_gender_model-weights_manifest.json': 'sha256-dLYL8+v5gb9OZh6cyjoYVhThCyXXlxGLYuKmjT/yVp8=',
+    'age_gender_model.bin': 'sha256-SfkrvAr+8jQsQ4XkorCsttenJ8bwqlOUmXGagaz5q6o='
+};
+
+// Each bundle is one vendor file built from one or more package files.
+// Fonts and images referenced by stylesheets are copied along with them.
+const VENDOR_BUNDLES = [
+    { dest: 'face-api/face-api.min.js', sources: ['face-api.js/dist/face-api.min.js'] },
+    { dest: 'chart.js/chart.umd.js', sources: ['chart.js/dist/chart.umd.js'] },
+    { dest: 'fontawesome/css/all.min.css', sources: ['@fortawesome/fontawesome-free/css/all.min.css'] },
+    {
+        dest: 'inter/inter.css',
+        sources: ['300', '400', '500', '600', '700'].map(weight => `@fontsource/inter/${weight}.css`)
+    }
+];
+
+function sha256(filePath) {
+    const digest = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('base64');
+    return `sha256-${digest}`;
+}
+
+function toManifestPath(filePath) {
+    return path.relative(ROOT_DIR, filePath).split(path.sep).join('/');
+}
+
+function copyFile(source, dest) {
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.copyFileSync(source, dest);
+    return dest;
+}
+
+// Copies every url(...) a stylesheet points at, keeping the same relative layout
+function copyStylesheetAssets(css, sourceDir, destDir) {
+    const copied = [];
+    const urlPattern = /url\(\s*['"]?([^'")]+)['"]?\s*\)/g;
+    let match;
+
+    while ((match = urlPattern.exec(css)) !== null) {
+        const reference = match[1].split(/[?#]/)[0];
+        if (reference.startsWith('data:') || /^[a-z]+:\/\//i.test(reference)) continue;
+
+        const source = path.resolve(sourceDir, reference);
+        const dest = path.resolve(destDir, reference);
+        if (!copied.includes(dest)) {
+            copied.push(copyFile(source, dest));
+        }
+    }
+    return copied;
+}
+
+function buildVendorBundle({ dest, sources }) {
+    const destPath = path.join(VENDOR_DIR, dest);
+    const sourcePaths = sources.map(source => path.join(NODE_MODULES_DIR, source));
+
+    sourcePaths.forEach(sourcePath => {
+        if (!fs.existsSync(sourcePath)) {
+            throw new Error(`Missing ${path.relative(ROOT_DIR, sourcePath)}, run npm install first`);
+        }
+    });
+
+    const files = [destPath];
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+
+    if (sourcePaths.length === 1) {
+        copyFile(sourcePaths[0], destPath);
+    } else {
+        fs.writeFileSync(destPath, sourcePaths.map(sourcePath => fs.readFileSync(sourcePath, 'utf8')).join('\n'));
+    }
+
+    if (dest.endsWith('.css')) {
+        sourcePaths.forEach(sourcePath => {
+            const css = fs.readFileSync(sourcePath, 'utf8');
+            files.push(...copyStylesheetAssets(css, path.dirname(sourcePath), path.dirname(destPath)));
+        });
+    }
+
+    return files;
+}
+
+function copyModelFile(fileName) {
+    const sourcePath = path.join(MODEL_PACKAGE_DIR, fileName);
+    if (!fs.existsSync(sourcePath)) {
+        throw new Error(`Missing ${path.relative(ROOT_DIR, sourcePath)}, run npm install first`);
+    }
+
+    const expected = MODEL_DIGESTS[fileName];
+    const actual = sha256(sourcePath);
+    if (actual !== expected) {
+        throw new Error(`${fileName} does not match its pinned digest (expected ${expected || 'none'}, got ${actual})`);
+    }
+
+    return copyFile(sourcePath, path.join(MODELS_DIR, fileName));
+}
+
+// A model is its weights manifest plus the shard files that manifest lists
+function copyModel(model) {
+    const manifestPath = copyModelFile(`${model}-weights_manifest.json`);
+    const weightsManifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const shards = weightsManifest.flatMap(group => group.paths);
+
+    return [manifestPath, ...shards.map(copyModelFile)];
+}
+
+function listAppShell() {
+    const scripts = fs.readdirSync(path.join(ROOT_DIR, 'js'))
+        .filter(fileName => fileName.endsWith('.js'))
+        .map(fileName => `js/${fileName}`);
+    return [...APP_SHELL, ...scripts];
+}
+
+// Fonts are left to the runtime cache; browsers only fetch the weights a page uses
+function writePrecacheManifest(assetFiles) {
+    const files = {};
+    const precached = [
+        ...listAppShell(),
+        ...Object.keys(assetFiles).filter(filePath => filePath.startsWith('models/') || /\.(js|css)$/.test(filePath))
+    ].sort();
+
+    precached.forEach(filePath => {
+        files[`/${filePath}`] = assetFiles[filePath] || sha256(path.join(ROOT_DIR, filePath));
+    });
+
+    // The version only changes when a precached file does
+    const version = crypto.createHash('sha256')
+        .update(Object.entries(files).map(([filePath, hash]) => `${filePath} ${hash}`).join('\n'))
+        .digest('hex')
+        .slice(0, 12);
+
+    fs.writeFileSync(PRECACHE_MANIFEST_PATH,
+        '// Generated by scripts/build-assets.js, do not edit\n' +
+        `self.PRECACHE_MANIFEST = ${JSON.stringify({ version, files }, null, 2)};\n`);
+    console.log(`Wrote precache-manifest.js version ${version} with ${precached.length} files`);
+}
+
+function build() {
+    const files = [];
+
+    for (const bundle of VENDOR_BUNDLES) {
+        files.push(...buildVendorBundle(bundle));
+    }
+    for (const model of MODELS) {
+        files.push(...copyModel(model));
+    }
+
+    const manifest = {
+        version: 1,
+        generatedAt: new Date().toISOString(),
+        files: {}
+    };
+    files
+        .map(toManifestPath)
+        .sort()
+        .forEach((filePath, index, all) => {
+            if (all.indexOf(filePath) === index) {
+                manifest.files[filePath] = sha256(path.join(ROOT_DIR, filePath));
+            }
+        });
+
+    fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`Wrote assets-manifest.json with ${Object.keys(manifest.files).length} files`);
+
+    writePrecacheManifest(manifest.files);
+}
+
+function verify() {
+    if (!fs.existsSync(MANIFEST_PATH)) {
+        throw new Error('assets-manifest.json not found, run npm run build:assets first');
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+    const failures = [];
+
+    Object.entries(manifest.files).forEach(([filePath, expected]) => {
+        const absolutePath = path.join(ROOT_DIR, filePath);
+
+        if (!fs.existsSync(absolutePath)) {
+            failures.push(`${filePath}: missing`);
+        } else if (sha256(absolutePath) !== expected) {
+            failures.push(`${filePath}: hash mismatch`);
+        }
+    });
+
+    if (failures.length > 0) {
+        failures.forEach(failure => console.error(failure));
+        throw new Error(`${failures.length} asset file(s) failed verification`);
+    }
+    console.log(`All ${Object.keys(manifest.files).length} asset files match assets-manifest.json`);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.includes('--verify')) {
+        verify();
+    } else {
+        build();
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
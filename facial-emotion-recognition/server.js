@@ -5,10 +5,17 @@ const rateLimit = require('express-rate-limit');
 const path = require('path');
 require('dotenv').config();
 
-const { router: authRoutes } = require('./routes/auth');
-const emotionRoutes = require('./routes/emotions');
-const sessionRoutes = require('./routes/sessions');
+const { router: authRoutes, authenticateToken, allowQueryToken } = require('./routes/auth');
+const { router: emotionRoutes } = require('./routes/emotions');
+const { router: sessionRoutes } = require('./routes/sessions');
+const imageRoutes = require('./routes/images');
+const userRoutes = require('./routes/users');
+const settingsRoutes = require('./routes/settings');
+const resultRoutes = require('./routes/results');
+const exportRoutes = require('./routes/export');
+const importRoutes = require('./routes/import');
 const database = require('./database/database');
+const emotionStream = require('./services/emotion-stream');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -24,7 +31,10 @@ app.use(cors({
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again later.'
+    // Blocked responses carry Retry-After, which the app's sync waits out
+    message: { error: 'Too many requests from this IP, please try again later.' },
+    // The live feed is one long-lived request, but EventSource reconnects count again
+    skip: (req) => req.path === '/emotions/stream'
 });
 app.use('/api/', limiter);
 
@@ -36,10 +46,20 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 app.use(express.static(path.join(__dirname)));
 
+// Live emotion feed (Server-Sent Events), filter with ?sessionId= or ?userId=
+app.get('/api/emotions/stream', allowQueryToken, authenticateToken, emotionStream.subscribe);
+
 // API Routes
 app.use('/api/auth', authRoutes);
-app.use('/api/emotions', emotionRoutes);
-app.use('/api/sessions', sessionRoutes);
+app.use('/api/emotions', authenticateToken, emotionRoutes);
+app.use('/api/sessions', authenticateToken, sessionRoutes);
+app.use('/api/images', authenticateToken, imageRoutes);
+app.use('/api/users', authenticateToken, userRoutes);
+app.use('/api/settings', authenticateToken, settingsRoutes);
+app.use('/api/export', authenticateToken, exportRoutes);
+app.use('/api/import', authenticateToken, importRoutes);
+// Reading a shared result is public; creating and revoking are authenticated per route
+app.use('/api/results', resultRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -83,12 +103,14 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully');
+    emotionStream.close();
     await database.close();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully');
+    emotionStream.close();
     await database.close();
     process.exit(0);
 });
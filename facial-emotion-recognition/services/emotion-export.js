@@ -0,0 +1,82 @@
+// Turns stored detections into flat export records. face_coordinates and raw_data are
+// JSON text in the database; their fields become columns such as face_x and
+// raw_expressions_happy.
+const EMOTIONS = ['happy', 'sad', 'angry', 'surprised', 'fearful', 'disgusted', 'neutral'];
+
+// CSV needs its header before the first row, so it gets a fixed set of columns matching
+// what the app records. NDJSON lines carry every flattened field, including unknown ones.
+const CSV_COLUMNS = [
+    'id', 'session_id', 'session_name', 'user_id', 'timestamp', 'emotion_type', 'confidence_score',
+    'track_id', 'age_estimate', 'gender_estimate', 'image_id', 'processing_time_ms',
+    'face_x', 'face_y', 'face_width', 'face_height',
+    ...EMOTIONS.map(emotion => `raw_expressions_${emotion}`),
+    ...EMOTIONS.map(emotion => `raw_smoothed_expressions_${emotion}`),
+    'raw_previous_emotion', 'raw_previous_dwell_ms', 'raw_detection_score',
+    'raw_gender_probability', 'raw_captured_at'
+];
+
+function toSnakeCase(key) {
+    return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+function parseJson(text) {
+    try {
+        return text ? JSON.parse(text) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Nested objects become prefix_key columns; arrays stay whole
+function flattenInto(target, prefix, value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([key, nested]) => flattenInto(target, `${prefix}_${toSnakeCase(key)}`, nested));
+    } else {
+        target[prefix] = value;
+    }
+    return target;
+}
+
+function flattenEmotion(row) {
+    const { face_coordinates: faceCoordinates, raw_data: rawData, ...columns } = row;
+    const record = { ...columns };
+
+    flattenInto(record, 'face', parseJson(faceCoordinates) || {});
+    flattenInto(record, 'raw', parseJson(rawData) || {});
+    return record;
+}
+
+// Spreadsheets run cells starting with these as formulas; numbers such as a
+// negative face_x are left alone
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        header: () => `${CSV_COLUMNS.join(',')}\r\n`,
+        line: (record) => `${CSV_COLUMNS.map(column => toCsvValue(record[column])).join(',')}\r\n`
+    },
+    ndjson: {
+        contentType: 'application/x-ndjson; charset=utf-8',
+        extension: 'ndjson',
+        header: () => '',
+        line: (record) => `${JSON.stringify(record)}\n`
+    }
+};
+
+module.exports = {
+    CSV_COLUMNS,
+    FORMATS,
+    flattenEmotion
+};
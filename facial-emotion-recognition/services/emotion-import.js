@@ -0,0 +1,265 @@
+// Reads the files POST /api/import accepts and turns every entry into a detection in the
+// shape POST /api/emotions takes, plus the session it belongs to:
+// - CSV and NDJSON written by GET /api/export
+// - { emotionHistory, emotionCaptures } as js/app.js keeps them in localStorage
+// Entries that cannot be read carry an error instead of a detection.
+const EMOTIONS = ['happy', 'sad', 'angry', 'surprised', 'fearful', 'disgusted', 'neutral'];
+
+class ImportFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImportFormatError';
+    }
+}
+
+// Epoch milliseconds, ISO strings or SQLite's UTC timestamps; null when unreadable
+function parseTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    let date;
+    if (typeof value === 'number' || /^\d+$/.test(value)) {
+        date = new Date(Number(value));
+    } else {
+        const text = String(value);
+        date = new Date(/[zZ]|[+-]\d\d:\d\d$/.test(text) ? text : `${text.replace(' ', 'T')}Z`);
+    }
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// CSV cells are all strings and empty cells mean "not recorded"
+function toNumber(value) {
+    return value === '' || value === null || value === undefined ? undefined : Number(value);
+}
+
+function toText(value) {
+    return value === '' || value === null || value === undefined ? undefined : String(value);
+}
+
+function toCamelCase(key) {
+    return key.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop the quote toCsvValue in services/emotion-export.js puts before formula-like text
+    const unescape = (cell) => (cell && /^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell);
+
+    const [header = [], ...lines] = rows.filter(cells => cells.some(cell => cell !== ''));
+    return lines.map(cells => Object.fromEntries(header.map((column, index) => [column, unescape(cells[index])])));
+}
+
+// Reverses flattenEmotion in services/emotion-export.js
+function fromExportRecord(record) {
+    const rawData = {};
+    const expressions = {};
+    const smoothedExpressions = {};
+
+    Object.entries(record).forEach(([column, value]) => {
+        if (!column.startsWith('raw_') || value === '' || value === null || value === undefined) return;
+
+        const field = column.slice('raw_'.length);
+        const emotion = EMOTIONS.find(name => field.endsWith(`expressions_${name}`));
+
+        if (emotion && field === `expressions_${emotion}`) {
+            expressions[emotion] = toNumber(value);
+        } else if (emotion && field === `smoothed_expressions_${emotion}`) {
+            smoothedExpressions[emotion] = toNumber(value);
+        } else if (['previous_emotion', 'captured_at'].includes(field)) {
+            rawData[toCamelCase(field)] = toText(value);
+        } else if (['previous_dwell_ms', 'detection_score', 'gender_probability'].includes(field)) {
+            rawData[toCamelCase(field)] = toNumber(value);
+        } else {
+            rawData[toCamelCase(field)] = value;
+        }
+    });
+
+    if (Object.keys(expressions).length > 0) rawData.expressions = expressions;
+    if (Object.keys(smoothedExpressions).length > 0) rawData.smoothedExpressions = smoothedExpressions;
+
+    const hasFace = ['face_x', 'face_y', 'face_width', 'face_height'].every(column => toText(record[column]) !== undefined);
+
+    return {
+        sessionKey: `export:${record.session_id}`,
+        sessionName: toText(record.session_name) || `Imported session ${record.session_id}`,
+        timestamp: parseTimestamp(record.timestamp),
+        detection: {
+            emotionType: toText(record.emotion_type),
+            confidenceScore: toNumber(record.confidence_score),
+            faceCoordinates: hasFace ? {
+                x: toNumber(record.face_x),
+                y: toNumber(record.face_y),
+                width: toNumber(record.face_width),
+                height: toNumber(record.face_height)
+            } : undefined,
+            ageEstimate: toNumber(record.age_estimate),
+            genderEstimate: toText(record.gender_estimate),
+            processingTimeMs: toNumber(record.processing_time_ms),
+            rawData: Object.keys(rawData).length > 0 ? rawData : undefined,
+            trackId: toNumber(record.track_id)
+        }
+    };
+}
+
+function readExport(records, kind) {
+    return records.map((record, index) => {
+        if (record instanceof Error) {
+            return { kind, index, error: record.message };
+        }
+        return { kind, index, ...fromExportRecord(record) };
+    });
+}
+
+function parseNdjson(text) {
+    return text.split(/\r?\n/)
+        .filter(line => line.trim() !== '')
+        .map(line => {
+            try {
+                const record = JSON.parse(line);
+                return record && typeof record === 'object' ? record : new Error('Line is not a JSON object');
+            } catch (error) {
+                return new Error(`Invalid JSON: ${error.message}`);
+            }
+        });
+}
+
+// { emotion, confidence, timestamp, sessionId, trackId }; sessionId is the
+// browser's own id for the session, missing in older histories
+function fromHistoryEntry(entry, index) {
+    if (!entry || typeof entry !== 'object') {
+        return { kind: 'history', index, error: 'Entry is not an object' };
+    }
+
+    const timestamp = parseTimestamp(entry.timestamp);
+    return {
+        kind: 'history',
+        index,
+        sessionKey: `history:${entry.sessionId || 'legacy'}`,
+        timestamp,
+        detection: {
+            emotionType: entry.emotion,
+            confidenceScore: entry.confidence,
+            trackId: entry.trackId || undefined,
+            rawData: timestamp ? { capturedAt: timestamp.toISOString() } : undefined
+        }
+    };
+}
+
+// { image: data URL, emotion: 'Happy', confidence: '87%', timestamp } as shown on screen
+function fromCapture(capture, index) {
+    if (!capture || typeof capture !== 'object') {
+        return { kind: 'capture', index, error: 'Entry is not an object' };
+    }
+
+    const timestamp = parseTimestamp(capture.timestamp);
+    return {
+        kind: 'capture',
+        index,
+        sessionKey: 'captures',
+        sessionName: 'Imported browser captures',
+        timestamp,
+        image: capture.image,
+        detection: {
+            emotionType: typeof capture.emotion === 'string' ? capture.emotion.toLowerCase() : capture.emotion,
+            confidenceScore: parseFloat(capture.confidence) / 100,
+            rawData: timestamp ? { capturedAt: timestamp.toISOString() } : undefined
+        }
+    };
+}
+
+// Browser sessions have no name, so they are named after their first detection
+function nameHistorySessions(entries) {
+    const firstSeen = new Map();
+    entries.forEach(entry => {
+        if (entry.kind !== 'history' || !entry.timestamp) return;
+        const first = firstSeen.get(entry.sessionKey);
+        if (!first || entry.timestamp < first) firstSeen.set(entry.sessionKey, entry.timestamp);
+    });
+
+    entries.forEach(entry => {
+        if (entry.kind !== 'history' || entry.error) return;
+        const first = firstSeen.get(entry.sessionKey);
+        entry.sessionName = first
+            ? `Imported browser session ${first.toISOString().slice(0, 16).replace('T', ' ')}`
+            : 'Imported browser session';
+    });
+    return entries;
+}
+
+function readLocalStorage(body) {
+    const { emotionHistory = [], emotionCaptures = [] } = body;
+    if (!Array.isArray(emotionHistory) || !Array.isArray(emotionCaptures)) {
+        throw new ImportFormatError('emotionHistory and emotionCaptures must be arrays');
+    }
+
+    return nameHistorySessions([
+        ...emotionHistory.map(fromHistoryEntry),
+        ...emotionCaptures.map(fromCapture)
+    ]);
+}
+
+// The text parser leaves an empty body as {}
+function readText(req) {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+        throw new ImportFormatError('The export file is empty');
+    }
+    return req.body;
+}
+
+// Picks the reader from the request's content type; the body has already been parsed
+function readImport(req) {
+    if (req.is('text/csv')) {
+        return { format: 'csv', entries: readExport(parseCsv(readText(req).replace(/^\uFEFF/, '')), 'csv') };
+    }
+    if (req.is('application/x-ndjson')) {
+        return { format: 'ndjson', entries: readExport(parseNdjson(readText(req)), 'ndjson') };
+    }
+    if (req.is('application/json') && req.body && ('emotionHistory' in req.body || 'emotionCaptures' in req.body)) {
+        return { format: 'localStorage', entries: readLocalStorage(req.body) };
+    }
+    throw new ImportFormatError(
+        'Send a CSV or NDJSON export (text/csv, application/x-ndjson) or JSON with emotionHistory and emotionCaptures'
+    );
+}
+
+module.exports = {
+    ImportFormatError,
+    parseCsv,
+    readImport
+};
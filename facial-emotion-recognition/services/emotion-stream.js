@@ -0,0 +1,147 @@
+const database = require('../database/database');
+
+// setTimeout fires at once for delays past this
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Server-Sent Events hub that pushes newly recorded emotions to subscribers
+class EmotionStream {
+    constructor() {
+        this.clients = new Set();
+        this.heartbeatMs = 25000;
+        this.heartbeatTimer = null;
+        this.subscribe = this.subscribe.bind(this);
+    }
+
+    // Express handler: GET /api/emotions/stream?sessionId=&userId=
+    // Subscribers only ever receive their own detections.
+    async subscribe(req, res) {
+        const sessionId = req.query.sessionId ? parseInt(req.query.sessionId) : null;
+        const userId = req.query.userId ? parseInt(req.query.userId) : req.user.userId;
+
+        if (Number.isNaN(sessionId) || Number.isNaN(userId)) {
+            return res.status(400).json({ error: 'sessionId and userId must be integers' });
+        }
+
+        if (userId !== req.user.userId) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        if (sessionId) {
+            try {
+                const session = await database.get(
+                    'SELECT id, user_id FROM sessions WHERE id = ?',
+                    [sessionId]
+                );
+
+                if (!session) {
+                    return res.status(404).json({ error: 'Session not found' });
+                }
+                if (session.user_id !== userId) {
+                    return res.status(403).json({ error: 'Access denied' });
+                }
+            } catch (error) {
+                console.error('Emotion stream subscribe error:', error);
+                return res.status(500).json({ error: 'Failed to subscribe to emotion stream' });
+            }
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const client = { res, sessionId, userId, familyId: req.user.fid };
+        this.clients.add(client);
+        this.startHeartbeat();
+
+        // A stream lives no longer than the access token that opened it; the
+        // browser reconnects with a fresh token or gets a 401
+        const expiresInMs = req.user.exp * 1000 - Date.now();
+        client.expiryTimer = setTimeout(() => this.end(client, 'token-expired'), Math.min(expiresInMs, MAX_TIMER_MS));
+
+        res.write('retry: 5000\n');
+        this.send(client, 'ready', { sessionId, userId });
+
+        req.on('close', () => this.remove(client));
+    }
+
+    // Called when a login's tokens are revoked (logout, refresh token reuse)
+    closeFamily(familyId) {
+        for (const client of this.clients) {
+            if (client.familyId === familyId) {
+                this.end(client, 'token-revoked');
+            }
+        }
+    }
+
+    // Called when all of a user's tokens are revoked or the account is removed
+    closeUser(userId) {
+        for (const client of this.clients) {
+            if (client.userId === userId) {
+                this.end(client, 'token-revoked');
+            }
+        }
+    }
+
+    end(client, reason) {
+        this.send(client, 'end', { reason });
+        client.res.end();
+        this.remove(client);
+    }
+
+    remove(client) {
+        clearTimeout(client.expiryTimer);
+        this.clients.delete(client);
+        if (this.clients.size === 0) {
+            this.stopHeartbeat();
+        }
+    }
+
+    publish(emotion) {
+        for (const client of this.clients) {
+            if (client.userId !== emotion.userId) continue;
+            if (client.sessionId && client.sessionId !== emotion.sessionId) continue;
+
+            this.send(client, 'emotion', emotion, emotion.id);
+        }
+    }
+
+    send(client, event, data, id) {
+        if (id !== undefined) {
+            client.res.write(`id: ${id}\n`);
+        }
+        client.res.write(`event: ${event}\n`);
+        client.res.write(`data: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Comment lines keep proxies from closing idle connections
+    startHeartbeat() {
+        if (this.heartbeatTimer) return;
+
+        this.heartbeatTimer = setInterval(() => {
+            for (const client of this.clients) {
+                client.res.write(': heartbeat\n\n');
+            }
+        }, this.heartbeatMs);
+        this.heartbeatTimer.unref();
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+
+    close() {
+        for (const client of this.clients) {
+            clearTimeout(client.expiryTimer);
+            client.res.end();
+        }
+        this.clients.clear();
+        this.stopHeartbeat();
+    }
+}
+
+module.exports = new EmotionStream();
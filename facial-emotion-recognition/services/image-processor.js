@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const UPLOAD_DIR = path.join(ROOT_DIR, 'uploads');
+const THUMBNAIL_DIR = path.join(UPLOAD_DIR, 'thumbnails');
+const AVATAR_DIR = path.join(UPLOAD_DIR, 'avatars');
+const THUMBNAIL_SIZE = 256;
+const AVATAR_SIZE = 256;
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Stored files are served from /uploads, so their extension comes from the checked
+// type and never from the client's filename
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/gif': '.gif'
+};
+
+// Make sure the upload folders exist before multer writes into them
+function ensureUploadDirs() {
+    fs.mkdirSync(THUMBNAIL_DIR, { recursive: true });
+    fs.mkdirSync(AVATAR_DIR, { recursive: true });
+}
+
+ensureUploadDirs();
+
+const upload = multer({
+    storage: multer.diskStorage({
+        destination: UPLOAD_DIR,
+        filename: (req, file, cb) => {
+            cb(null, createUploadName(EXTENSIONS[file.mimetype]));
+        }
+    }),
+    limits: { fileSize: MAX_UPLOAD_BYTES },
+    fileFilter: (req, file, cb) => {
+        if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+    }
+});
+
+function createUploadName(extension) {
+    return `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`;
+}
+
+// Accept a single image field and turn multer errors into 400 responses
+function uploadSingleImage(fieldName) {
+    return (req, res, next) => {
+        upload.single(fieldName)(req, res, (err) => {
+            if (err instanceof multer.MulterError) {
+                const message = err.code === 'LIMIT_FILE_SIZE'
+                    ? 'Image exceeds the 10MB limit'
+                    : `Unsupported upload, expected one image (${ALLOWED_MIME_TYPES.join(', ')})`;
+                return res.status(400).json({ error: message });
+            }
+            next(err);
+        });
+    };
+}
+
+// Paths are stored relative to the backend root so they map onto the /uploads static route
+function toRelativePath(absolutePath) {
+    return path.relative(ROOT_DIR, absolutePath).split(path.sep).join('/');
+}
+
+// Write a base64 data URL (as the app keeps captures in localStorage) into the upload folder.
+// Returns the same fields multer reports for an upload.
+async function saveDataUrlImage(dataUrl) {
+    const match = /^data:([\w/+.-]+);base64,(.+)$/s.exec(dataUrl || '');
+    if (!match || !ALLOWED_MIME_TYPES.includes(match[1])) {
+        throw new Error(`Expected a base64 data URL of type ${ALLOWED_MIME_TYPES.join(', ')}`);
+    }
+
+    const buffer = Buffer.from(match[2], 'base64');
+    if (buffer.length > MAX_UPLOAD_BYTES) {
+        throw new Error('Image exceeds the 10MB limit');
+    }
+
+    const filename = createUploadName(EXTENSIONS[match[1]]);
+    const filePath = path.join(UPLOAD_DIR, filename);
+    await fs.promises.writeFile(filePath, buffer);
+
+    return { filename, path: filePath, size: buffer.length, mimetype: match[1] };
+}
+
+// Probe dimensions and write a JPEG thumbnail next to the upload
+async function processImage(filePath) {
+    const metadata = await sharp(filePath).metadata();
+
+    const thumbnailName = `${path.parse(filePath).name}_thumb.jpg`;
+    const thumbnailPath = path.join(THUMBNAIL_DIR, thumbnailName);
+
+    await sharp(filePath)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toFile(thumbnailPath);
+
+    return {
+        width: metadata.width,
+        height: metadata.height,
+        thumbnailPath: toRelativePath(thumbnailPath),
+        metadata: {
+            format: metadata.format,
+            space: metadata.space,
+            channels: metadata.channels,
+            hasAlpha: metadata.hasAlpha,
+            orientation: metadata.orientation
+        }
+    };
+}
+
+// Crop an upload to a square JPEG avatar and drop the original
+async function processAvatar(filePath) {
+    const avatarPath = path.join(AVATAR_DIR, `${path.parse(filePath).name}.jpg`);
+
+    try {
+        await sharp(filePath)
+            .rotate()
+            .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover' })
+            .jpeg({ quality: 85 })
+            .toFile(avatarPath);
+    } finally {
+        await removeFiles([toRelativePath(filePath)]);
+    }
+
+    return toRelativePath(avatarPath);
+}
+
+// Delete stored files by their relative path, ignoring files that are already gone
+async function removeFiles(relativePaths) {
+    await Promise.all(relativePaths.filter(Boolean).map(file =>
+        fs.promises.unlink(path.join(ROOT_DIR, file)).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        })
+    ));
+}
+
+// Remove an image upload together with its thumbnail
+async function removeImageFiles(image) {
+    return removeFiles([image.file_path, image.thumbnail_path]);
+}
+
+module.exports = {
+    UPLOAD_DIR,
+    ALLOWED_MIME_TYPES,
+    ensureUploadDirs,
+    uploadSingleImage,
+    saveDataUrlImage,
+    toRelativePath,
+    processImage,
+    processAvatar,
+    removeFiles,
+    removeImageFiles
+};
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Default transport: every message becomes a JSON file in the mail outbox
+// directory, so flows can be exercised without an SMTP server.
+class FileTransport {
+    constructor(directory = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox')) {
+        this.directory = directory;
+    }
+
+    async send(message) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const filePath = path.join(this.directory, `${id}.json`);
+
+        await fs.promises.writeFile(filePath, JSON.stringify({
+            id,
+            ...message,
+            sentAt: new Date().toISOString()
+        }, null, 2));
+
+        return { id, filePath };
+    }
+}
+
+// Builds the application's emails and hands them to a transport.
+// Any object with an async send({ from, to, subject, text, html }) can be plugged in.
+class Mailer {
+    constructor(transport = new FileTransport()) {
+        this.transport = transport;
+        this.from = process.env.MAIL_FROM || 'EmotionAI <no-reply@emotionai.local>';
+        this.appUrl = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+    }
+
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    async send(message) {
+        return this.transport.send({ from: this.from, ...message });
+    }
+
+    async sendVerificationEmail(user, token) {
+        const link = `${this.appUrl}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+        return this.send({
+            to: user.email,
+            subject: 'Verify your EmotionAI email address',
+            text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+            html: `<p>Hi ${escapeHtml(user.username)},</p>
+<p>Confirm your email address by opening this link:</p>
+<p><a href="${link}">Verify email</a></p>
+<p>The link expires in 24 hours.</p>`
+        });
+    }
+
+    async sendPasswordResetEmail(user, token) {
+        const link = `${this.appUrl}/reset-password.html?token=${encodeURIComponent(token)}`;
+
+        return this.send({
+            to: user.email,
+            subject: 'Reset your EmotionAI password',
+            text: `Hi ${user.username},\n\nSomeone asked to reset your password. If it was you, open this link:\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, ignore this email.`,
+            html: `<p>Hi ${escapeHtml(user.username)},</p>
+<p>Someone asked to reset your password. If it was you, open this link:</p>
+<p><a href="${link}">Reset password</a></p>
+<p>The link expires in 1 hour. If you did not ask for this, ignore this email.</p>`
+        });
+    }
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = new Mailer();
+module.exports.Mailer = Mailer;
+module.exports.FileTransport = FileTransport;
@@ -0,0 +1,164 @@
+const path = require('path');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Same palette as the charts in js/emotion-timeline.js
+const EMOTION_COLORS = {
+    neutral: '#6b7280',
+    happy: '#10b981',
+    sad: '#3b82f6',
+    angry: '#ef4444',
+    fearful: '#8b5cf6',
+    disgusted: '#84cc16',
+    surprised: '#f59e0b'
+};
+
+const FRAME_MAX_WIDTH = 495;
+const FRAME_MAX_HEIGHT = 300;
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatPercent(value) {
+    return typeof value === 'number' ? `${Math.round(value * 100)}%` : '--';
+}
+
+// SQLite timestamps are UTC without a zone suffix, client ones are ISO strings
+function formatTimestamp(value) {
+    if (!value) return '--';
+    const date = new Date(/[zZ]|[+-]\d\d:\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+    return Number.isNaN(date.getTime()) ? '--' : `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function describeSubject(subject) {
+    if (!subject) return 'No age or gender estimate was recorded';
+
+    const parts = [];
+    if (typeof subject.age === 'number') {
+        parts.push(`about ${subject.age} years old`);
+    }
+    if (subject.gender) {
+        const probability = subject.genderProbability === null ? '' : ` (${formatPercent(subject.genderProbability)})`;
+        parts.push(`${subject.gender}${probability}`);
+    }
+    return `Estimated ${parts.join(', ')}`;
+}
+
+// PDFKit only embeds JPEG and PNG, so captures are re-encoded at print size first
+async function loadFrame(frame) {
+    if (!frame) return null;
+
+    try {
+        const { data, info } = await sharp(path.join(ROOT_DIR, frame.url))
+            .resize(FRAME_MAX_WIDTH * 2, FRAME_MAX_HEIGHT * 2, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 85 })
+            .toBuffer({ resolveWithObject: true });
+        return { data, info };
+    } catch (error) {
+        console.warn(`Report frame ${frame.url} could not be read:`, error.message);
+        return null;
+    }
+}
+
+function drawFrame(doc, frame, image, top) {
+    const scale = Math.min(FRAME_MAX_WIDTH / image.info.width, FRAME_MAX_HEIGHT / image.info.height);
+    const width = image.info.width * scale;
+    const height = image.info.height * scale;
+    const left = doc.page.margins.left;
+
+    doc.image(image.data, left, top, { width, height });
+
+    // The face box is in the pixels of the original capture
+    if (frame.box && frame.width) {
+        const boxScale = width / frame.width;
+        doc.save()
+            .lineWidth(2)
+            .strokeColor('#22d3ee')
+            .rect(left + frame.box.x * boxScale, top + frame.box.y * boxScale,
+                frame.box.width * boxScale, frame.box.height * boxScale)
+            .stroke()
+            .restore();
+    }
+
+    doc.fontSize(9).fillColor('#6b7280')
+        .text(`Captured ${formatTimestamp(frame.capturedAt)}`, left, top + height + 4);
+    return top + height + 24;
+}
+
+// One bar per emotion, largest first
+function drawExpressionChart(doc, expressions, top) {
+    const left = doc.page.margins.left;
+    const labelWidth = 80;
+    const barWidth = 340;
+    const rowHeight = 20;
+
+    Object.entries(expressions)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([emotion, probability], index) => {
+            const y = top + index * rowHeight;
+            doc.fontSize(10).fillColor('#1e293b').text(capitalize(emotion), left, y + 2, { width: labelWidth });
+            doc.rect(left + labelWidth, y, barWidth, 12).fill('#e5e7eb');
+            if (probability > 0) {
+                doc.rect(left + labelWidth, y, barWidth * probability, 12).fill(EMOTION_COLORS[emotion] || '#6b7280');
+            }
+            doc.fillColor('#1e293b').text(formatPercent(probability), left + labelWidth + barWidth + 10, y + 2);
+        });
+
+    return top + Object.keys(expressions).length * rowHeight + 10;
+}
+
+// Writes the report built by services/session-report.js to output as an A4 PDF.
+// The frame is loaded before anything is written, so a failure there never leaves a half-sent PDF.
+async function renderReportPdf(report, output) {
+    const image = await loadFrame(report.frame);
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: { Title: `Emotion report: ${report.sessionName || `session ${report.sessionId}`}`, Author: 'EmotionAI' }
+    });
+    const finished = new Promise((resolve, reject) => {
+        output.on('finish', resolve);
+        output.on('error', reject);
+    });
+    doc.pipe(output);
+
+    doc.fontSize(20).fillColor('#1e293b').text('Emotion Recognition Report');
+    doc.fontSize(11).fillColor('#6b7280')
+        .text(report.sessionName || `Session ${report.sessionId}`)
+        .text(`Started ${formatTimestamp(report.startedAt)} · Ended ${formatTimestamp(report.endedAt)}`)
+        .moveDown();
+
+    let y = doc.y;
+    if (image) {
+        y = drawFrame(doc, report.frame, image, y);
+    }
+
+    doc.fontSize(16).fillColor(EMOTION_COLORS[report.emotion] || '#1e293b')
+        .text(capitalize(report.emotion), doc.page.margins.left, y);
+    doc.fontSize(11).fillColor('#1e293b')
+        .text(`${formatPercent(report.confidence)} ${report.confidenceLabel}`)
+        .text(describeSubject(report.subject))
+        .moveDown();
+
+    doc.fontSize(13).text('Expression Profile');
+    y = drawExpressionChart(doc, report.expressions, doc.y + 6);
+
+    const { metrics } = report;
+    doc.fontSize(11).fillColor('#1e293b')
+        .text(`Mean face score: ${formatPercent(metrics.meanDetectionScore)}`, doc.page.margins.left, y)
+        .text(`Face in frame: ${formatPercent(metrics.facePresentRatio)}`)
+        .text(`Average processing time: ${typeof metrics.avgProcessingMs === 'number' ? `${Math.round(metrics.avgProcessingMs)}ms` : '--'}`)
+        .moveDown();
+
+    doc.fontSize(9).fillColor('#6b7280').text(`Generated ${formatTimestamp(report.generatedAt)} by EmotionAI`);
+    doc.end();
+
+    return finished;
+}
+
+module.exports = {
+    renderReportPdf
+};
@@ -0,0 +1,113 @@
+const database = require('../database/database');
+
+const EMOTIONS = ['happy', 'sad', 'angry', 'surprised', 'fearful', 'disgusted', 'neutral'];
+
+function parseJson(text) {
+    try {
+        return text ? JSON.parse(text) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function round(value, places = 4) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+// Mean of the stored expression vectors; every emotion gets a value so the report can be shared
+function averageExpressions(rows) {
+    const vectors = rows
+        .map(row => (parseJson(row.raw_data) || {}).expressions)
+        .filter(Boolean);
+
+    return Object.fromEntries(EMOTIONS.map(emotion => {
+        const sum = vectors.reduce((total, vector) => total + (vector[emotion] || 0), 0);
+        return [emotion, vectors.length ? round(sum / vectors.length) : 0];
+    }));
+}
+
+// Sessions ended by the app carry the distribution of every analyzed sample;
+// older ones fall back to the share of stored detections
+function getDistribution(session, rows) {
+    if (session.emotion_distribution && Object.keys(session.emotion_distribution).length > 0) {
+        return session.emotion_distribution;
+    }
+
+    const counts = {};
+    rows.forEach(row => {
+        counts[row.emotion_type] = (counts[row.emotion_type] || 0) + 1;
+    });
+    return Object.fromEntries(Object.entries(counts).map(([emotion, count]) => [emotion, round(count / rows.length)]));
+}
+
+// Age and gender are only estimated when the settings ask for them, so take the latest estimate
+function getSubject(rows) {
+    const row = [...rows].reverse().find(candidate => candidate.age_estimate !== null || candidate.gender_estimate);
+    if (!row) return null;
+
+    const rawData = parseJson(row.raw_data) || {};
+    return {
+        age: row.age_estimate,
+        gender: row.gender_estimate,
+        genderProbability: typeof rawData.genderProbability === 'number' ? round(rawData.genderProbability) : null
+    };
+}
+
+// The newest capture that knows where the face was, otherwise the newest processed capture
+function getFrame(images) {
+    const processed = images.filter(image => image.processing_status === 'processed');
+    const image = processed.find(candidate => candidate.face_coordinates) || processed[0];
+    if (!image) return null;
+
+    return {
+        url: `/${image.file_path}`,
+        width: image.width,
+        height: image.height,
+        box: parseJson(image.face_coordinates),
+        capturedAt: image.upload_timestamp
+    };
+}
+
+// Everything a session report shows, in the shape result.html renders.
+// Expects a session whose emotion_distribution has already been parsed.
+// Returns null when nothing was recorded during the session.
+async function buildSessionReport(session) {
+    const [rows, images] = await Promise.all([
+        database.getAllEmotionsBySession(session.id),
+        database.getImagesBySession(session.id)
+    ]);
+
+    const distribution = getDistribution(session, rows);
+    const entries = Object.entries(distribution);
+    if (entries.length === 0) return null;
+
+    const [emotion, share] = entries.reduce((max, curr) => curr[1] > max[1] ? curr : max);
+
+    return {
+        sessionId: session.id,
+        sessionName: session.session_name,
+        // Stored sessions keep the distribution but not per-emotion confidence,
+        // so the headline is how much of the session the leading emotion covered
+        emotion,
+        confidence: share,
+        confidenceLabel: 'of the session',
+        expressions: averageExpressions(rows),
+        subject: getSubject(rows),
+        frame: getFrame(images),
+        metrics: {
+            meanDetectionScore: session.accuracy_score,
+            facePresentRatio: session.face_present_ratio,
+            avgProcessingMs: session.avg_processing_ms,
+            emotionDistribution: distribution
+        },
+        startedAt: session.start_time,
+        endedAt: session.end_time,
+        generatedAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    EMOTIONS,
+    buildSessionReport
+};
@@ -1,53 +1,166 @@
 // Service Worker for PWA functionality
-const CACHE_NAME = 'emotion-ai-v1';
-const urlsToCache = [
-  '/',
-  '/index.html',
-  '/styles.css',
-  '/js/app.js',
-  '/js/emotion-engine.js',
-  'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/dist/face-api.min.js',
-  'https://cdn.jsdelivr.net/npm/chart.js',
-  'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap',
-  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css'
-];
-
-// Install event - cache resources
+importScripts('/js/api-client.js', '/js/outbox.js');
+
+const outbox = new DetectionOutbox(new EmotionApiClient('', () => outbox.getAuthToken()));
+
+// Precache list and version written by scripts/build-assets.js. A new build changes
+// this file, which is what makes the browser install a new service worker.
+try {
+  importScripts('/precache-manifest.js');
+} catch (error) {
+  // Without a build everything falls through to stale-while-revalidate
+  console.warn('precache-manifest.js missing, run npm run build:assets:', error.message);
+  self.PRECACHE_MANIFEST = { version: 'dev', files: {} };
+}
+
+const { version: CACHE_VERSION, files: PRECACHE_FILES } = self.PRECACHE_MANIFEST;
+const CACHE_PREFIX = 'emotion-ai-';
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-${CACHE_VERSION}`;
+const ASSET_CACHE_NAME = `${CACHE_PREFIX}assets-${CACHE_VERSION}`;
+const API_CACHE_PREFIX = `${CACHE_PREFIX}api-`;
+
+// Never cached: auth responses, the live emotion stream, and exports and reports,
+// which would be buffered whole into the cache
+const UNCACHED_API_PATTERNS = [/^\/api\/auth\//, /^\/api\/emotions\/stream/, /^\/api\/export/, /\/report(\.pdf)?$/];
+
+// Install event - precache the app shell and models, each checked against its SHA-256 hash
 self.addEventListener('install', event => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => {
-        console.log('Opened cache');
-        return cache.addAll(urlsToCache);
-      })
+    caches.open(PRECACHE_NAME).then(cache => cache.addAll(
+      Object.entries(PRECACHE_FILES).map(([url, integrity]) => new Request(url, { integrity, cache: 'reload' }))
+    ))
   );
 });
 
-// Fetch event - serve from cache when offline
-self.addEventListener('fetch', event => {
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        // Return cached version or fetch from network
-        if (response) {
-          return response;
-        }
-        return fetch(event.request);
-      })
+// Activate event - drop caches from older versions
+self.addEventListener('activate', event => {
+  const current = [PRECACHE_NAME, ASSET_CACHE_NAME];
+
+  event.waitUntil(
+    caches.keys()
+      .then(cacheNames => Promise.all(
+        cacheNames
+          .filter(cacheName => cacheName.startsWith(CACHE_PREFIX) && !current.includes(cacheName))
+          .filter(cacheName => !cacheName.startsWith(API_CACHE_PREFIX))
+          .map(cacheName => caches.delete(cacheName))
+      ))
+      .then(() => self.clients.claim())
   );
 });
 
-// Activate event - clean up old caches
-self.addEventListener('activate', event => {
-  event.waitUntil(
-    caches.keys().then(cacheNames => {
-      return Promise.all(
-        cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME) {
-            return caches.delete(cacheName);
-          }
-        })
-      );
-    })
+// API responses are cached per user, so a shared browser never answers one account's
+// request with another's data. The token only names the cache; the server checked it.
+function apiCacheName(request) {
+  const token = (request.headers.get('Authorization') || '').replace(/^Bearer /, '');
+
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return `${API_CACHE_PREFIX}user-${payload.userId}`;
+  } catch (error) {
+    return `${API_CACHE_PREFIX}public`;
+  }
+}
+
+async function clearApiCaches() {
+  const cacheNames = await caches.keys();
+  await Promise.all(
+    cacheNames
+      .filter(cacheName => cacheName.startsWith(API_CACHE_PREFIX))
+      .map(cacheName => caches.delete(cacheName))
   );
-});
\ No newline at end of file
+}
+
+// The page asks a waiting worker to take over once the user accepts the update
+self.addEventListener('message', event => {
+  const { type } = event.data || {};
+
+  if (type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (type === 'CLEAR_API_CACHE') {
+    event.waitUntil(clearApiCaches());
+  }
+});
+
+// Fetch event - precache for the shell and models, network-first for the API,
+// stale-while-revalidate for other same-origin assets
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith('/api/')) {
+    if (UNCACHED_API_PATTERNS.some(pattern => pattern.test(url.pathname))) return;
+    event.respondWith(networkFirst(request, apiCacheName(request)));
+    return;
+  }
+
+  // The asset manifest must match the models the page is about to verify
+  if (url.pathname === '/assets-manifest.json') {
+    event.respondWith(networkFirst(request, ASSET_CACHE_NAME));
+    return;
+  }
+
+  const precachePath = request.mode === 'navigate' && url.pathname === '/' ? '/index.html' : url.pathname;
+  if (precachePath in PRECACHE_FILES) {
+    event.respondWith(precacheFirst(request, precachePath));
+    return;
+  }
+
+  event.respondWith(staleWhileRevalidate(event, request));
+});
+
+async function precacheFirst(request, precachePath) {
+  const cache = await caches.open(PRECACHE_NAME);
+  const cached = await cache.match(precachePath);
+  return cached || fetch(request);
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(event, request) {
+  const cache = await caches.open(ASSET_CACHE_NAME);
+  const cached = await cache.match(request);
+
+  const update = fetch(request).then(response => {
+    if (response.ok) {
+      return cache.put(request, response.clone()).then(() => response);
+    }
+    return response;
+  });
+
+  if (cached) {
+    // Refresh in the background; the cached copy answers this request
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+  return update;
+}
+
+// Background sync - replay queued session and emotion writes once back online
+self.addEventListener('sync', event => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    event.waitUntil(
+      outbox.replay().then(result => {
+        // Rejecting asks the browser to retry the sync later
+        if (result.remaining > 0) {
+          throw new Error(`${result.remaining} outbox entries still pending`);
+        }
+      })
+    );
+  }
+});